@@ -124,7 +124,8 @@ function fetchGET() {
             console.log('Response OK?:', response.ok); // true if 200-299
 
             if (!response.ok) {
-                throw new Error(`HTTP Error: ${response.status}`);
+                // ClientError (4xx) / ServerError (5xx) - see section 8
+                throw HttpError.forStatus(response.status, null, { url: response.url, statusText: response.statusText, headers: response.headers });
             }
 
             return response.json(); // Parse JSON
@@ -225,7 +226,7 @@ async function asyncFetchGET() {
         const response = await fetch('https://jsonplaceholder.typicode.com/users');
 
         if (!response.ok) {
-            throw new Error(`HTTP Error: ${response.status}`);
+            throw await HttpError.fromResponse(response); // Carries status and the error body
         }
 
         const data = await response.json();
@@ -261,6 +262,7 @@ async function asyncFetchPOST() {
 }
 
 // Multiple parallel requests
+// Promise.all has no limit - for dozens of requests route them through RequestScheduler (section 12)
 async function parallelRequests() {
     try {
         // Execute all requests simultaneously
@@ -427,29 +429,49 @@ async function sendURLEncodedData() {
  * REAL SCENARIO: Search autocomplete, canceling pending requests
  */
 
+// Every class and helper below takes an optional `fetch` (SSR, CLI tools, FakeServer in tests).
+// Without one, the global fetch is looked up per call, so FakeServer.install() still
+// applies to instances created before it.
+function resolveFetch(fetchImpl) {
+    return fetchImpl || ((input, init) => globalThis.fetch(input, init));
+}
+
+// Web Crypto: a global in browsers and Node 19+, only require('crypto').webcrypto on Node 18
+function webCrypto() {
+    return globalThis.crypto || require('crypto').webcrypto;
+}
+
 // Timeout implementation
-async function fetchWithTimeout(url, timeout = 5000) {
+async function fetchWithTimeout(url, timeout = 5000, { fetch: fetchImpl } = {}) {
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    const request = { method: 'GET', url };
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout);
 
     try {
-        const response = await fetch(url, {
+        const response = await resolveFetch(fetchImpl)(url, {
             signal: controller.signal
         });
-        clearTimeout(timeoutId);
-        return await response.json();
+        return await readJSON(response, request);
     } catch (error) {
-        if (error.name === 'AbortError') {
+        if (timedOut) {
             console.error('❌ Request timeout');
+            throw new TimeoutError(`Request timed out after ${timeout}ms`, { ...request, cause: error });
         }
-        throw error;
+        throw HttpError.from(error, request);
+    } finally {
+        clearTimeout(timeoutId);
     }
 }
 
 // Cancellable request (useful for search/autocomplete)
 class CancellableRequest {
-    constructor() {
+    constructor(options = {}) {
         this.controller = null;
+        this.fetchImpl = resolveFetch(options.fetch);
     }
 
     async fetch(url) {
@@ -462,16 +484,16 @@ class CancellableRequest {
         this.controller = new AbortController();
 
         try {
-            const response = await fetch(url, {
+            const response = await this.fetchImpl(url, {
                 signal: this.controller.signal
             });
-            return await response.json();
+            return await readJSON(response, { method: 'GET', url });
         } catch (error) {
             if (error.name === 'AbortError') {
                 console.log('Previous request cancelled');
                 return null;
             }
-            throw error;
+            throw HttpError.from(error, { method: 'GET', url });
         }
     }
 
@@ -505,40 +527,186 @@ async function handleSearchInput(searchTerm) {
  * REAL SCENARIO: Network failures, API errors, validation errors
  */
 
-async function comprehensiveErrorHandling() {
-    try {
-        const response = await fetch('https://jsonplaceholder.typicode.com/users/1');
+// Typed error hierarchy - callers branch on `instanceof` instead of message text
+const STATUS_MESSAGES = {
+    400: 'Bad Request - Check your data',
+    401: 'Unauthorized - Please login',
+    403: 'Forbidden - You don\'t have permission',
+    404: 'Not Found - Resource doesn\'t exist',
+    422: 'Unprocessable Entity - Validation failed',
+    429: 'Too Many Requests - Slow down',
+    500: 'Server Error - Try again later',
+    503: 'Service Unavailable - Try again later'
+};
+
+class HttpError extends Error {
+    constructor(message, { status = 0, statusText = '', method = 'GET', url = '', headers = null, body = null, cause } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;         // 0 when no response was received
+        this.statusText = statusText;
+        this.method = method;
+        this.url = url;
+        this.headers = headers;       // Headers instance from the response
+        this.body = body;             // Parsed JSON (or text) error payload
+        if (cause) {
+            this.cause = cause;
+        }
+    }
 
-        // Check HTTP status
-        if (!response.ok) {
-            // Create detailed error based on status code
-            switch (response.status) {
-                case 400:
-                    throw new Error('Bad Request - Check your data');
-                case 401:
-                    throw new Error('Unauthorized - Please login');
-                case 403:
-                    throw new Error('Forbidden - You don\'t have permission');
-                case 404:
-                    throw new Error('Not Found - Resource doesn\'t exist');
-                case 500:
-                    throw new Error('Server Error - Try again later');
-                default:
-                    throw new Error(`HTTP Error: ${response.status}`);
-            }
+    // Picks ClientError / ServerError from the status code
+    static forStatus(status, message, details = {}) {
+        const ErrorClass = status >= 500 ? ServerError
+            : status >= 400 ? ClientError
+            : HttpError;
+        return new ErrorClass(message || STATUS_MESSAGES[status] || `HTTP Error: ${status}`, { ...details, status });
+    }
+
+    // Builds the error for a non-2xx response, including the server's payload
+    static async fromResponse(response, { method = 'GET', url = response.url } = {}) {
+        let body = null;
+        try {
+            const text = await response.text();
+            const isJSON = (response.headers.get('Content-Type') || '').includes('json');
+            body = text && isJSON ? JSON.parse(text) : (text || null);
+        } catch {
+            // Unreadable error body - keep body as null
         }
 
-        const data = await response.json();
-        return data;
+        return HttpError.forStatus(response.status, null, {
+            statusText: response.statusText,
+            method,
+            url,
+            headers: response.headers,
+            body
+        });
+    }
+
+    // Wraps whatever fetch() / response.json() threw - use it right around those calls.
+    // fetch() reports a failed network as a TypeError, so every TypeError becomes a NetworkError;
+    // code that wraps more than fetch (retry, breaker) must not feed its own bugs through here.
+    static from(error, { method = 'GET', url = '' } = {}) {
+        if (error instanceof HttpError) {
+            return error;
+        }
+
+        const details = { method, url, cause: error };
+
+        if (error.name === 'TimeoutError') {     // AbortSignal.timeout()
+            return new TimeoutError(`Request timed out: ${method} ${url}`, details);
+        }
+        if (error.name === 'AbortError') {
+            return new AbortError(`Request aborted: ${method} ${url}`, details);
+        }
+        if (error.name === 'SyntaxError') {
+            return new ParseError('Invalid JSON Response', details);
+        }
+        // fetch() rejects with TypeError when the network fails
+        if (error.name === 'TypeError') {
+            return new NetworkError(`Network Error - ${error.message}`, details);
+        }
+        return error;
+    }
+}
+
+class NetworkError extends HttpError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NetworkError';
+    }
+}
+
+class TimeoutError extends HttpError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'TimeoutError';
+    }
+}
+
+class AbortError extends HttpError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'AbortError'; // same name as the DOMException, so old checks keep working
+    }
+}
+
+class ParseError extends HttpError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ParseError';
+    }
+}
+
+class ClientError extends HttpError { // 4xx
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ClientError';
+    }
+}
+
+class ServerError extends HttpError { // 5xx
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ServerError';
+    }
+}
+
+// 2xx, but the body doesn't match the expected schema. `errors`: [{ path: '$.items[0].id', message }]
+class ValidationError extends HttpError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'ValidationError';
+        this.errors = details.errors || [];
+    }
+}
 
+// Checks the status and parses JSON, throwing the typed errors above
+async function readJSON(response, { method = 'GET', url = response.url } = {}) {
+    if (!response.ok) {
+        throw await HttpError.fromResponse(response, { method, url });
+    }
+
+    const text = await response.text();
+    if (!text) {
+        return null; // 204 / empty body
+    }
+
+    try {
+        return JSON.parse(text);
     } catch (error) {
+        throw new ParseError('Invalid JSON Response', {
+            status: response.status,
+            statusText: response.statusText,
+            method,
+            url,
+            headers: response.headers,
+            body: text,
+            cause: error
+        });
+    }
+}
+
+async function comprehensiveErrorHandling() {
+    const request = { method: 'GET', url: 'https://jsonplaceholder.typicode.com/users/1' };
+
+    try {
+        const response = await fetch(request.url);
+
+        // Check HTTP status - non-2xx becomes ClientError / ServerError with the parsed body
+        return await readJSON(response, request);
+
+    } catch (caught) {
+        const error = HttpError.from(caught, request);
+
         // Handle different error types
-        if (error.name === 'TypeError') {
+        if (error instanceof NetworkError) {
             console.error('❌ Network Error - Check internet connection');
-        } else if (error.name === 'AbortError') {
+        } else if (error instanceof AbortError) {
             console.error('❌ Request Cancelled');
-        } else if (error.name === 'SyntaxError') {
+        } else if (error instanceof ParseError) {
             console.error('❌ Invalid JSON Response');
+        } else if (error instanceof ClientError) {
+            console.error('❌', error.message, error.body); // e.g. validation payload from a 422
         } else {
             console.error('❌ Error:', error.message);
         }
@@ -550,31 +718,346 @@ async function comprehensiveErrorHandling() {
     }
 }
 
-// Retry logic for failed requests
-async function fetchWithRetry(url, options = {}, retries = 3, delay = 1000) {
-    for (let i = 0; i < retries; i++) {
-        try {
-            const response = await fetch(url, options);
+// Retry policy - which failures to retry, and how long to wait between attempts
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+class RetryPolicy {
+    constructor(options = {}) {
+        this.options = options;
+        this.maxAttempts = options.maxAttempts ?? 3;      // Including the first attempt
+        this.methods = (options.methods || IDEMPOTENT_METHODS).map(m => m.toUpperCase());
+        this.statuses = options.statuses || RETRYABLE_STATUSES;
+        this.baseDelay = options.baseDelay ?? 1000;
+        this.maxDelay = options.maxDelay ?? 30000;
+        this.jitter = options.jitter || 'full';           // 'none' | 'full' | 'decorrelated'
+        this.respectRetryAfter = options.respectRetryAfter ?? true;
+        this.onRetry = options.onRetry || null;           // ({ attempt, delay, error }) => void
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
+    // Accepts a RetryPolicy, an options object, or the legacy (retries, delay) numbers
+    static from(value, delay) {
+        if (value instanceof RetryPolicy) {
+            return value;
+        }
+        if (typeof value === 'number') {
+            return new RetryPolicy({ maxAttempts: value, baseDelay: delay ?? 1000 });
+        }
+        return new RetryPolicy(value || {});
+    }
+
+    // Copy with per-call overrides layered on top (keeps instance hooks)
+    with(overrides) {
+        if (!overrides) {
+            return this;
+        }
+        if (overrides instanceof RetryPolicy) {
+            return overrides;
+        }
+        return new RetryPolicy({ ...this.options, ...overrides });
+    }
+
+    shouldRetry(error, attempt, method = 'GET') {
+        if (attempt >= this.maxAttempts) return false;
+        if (!this.methods.includes(method.toUpperCase())) return false; // Never replay a POST by accident
+        if (error instanceof AbortError) return false;
+        if (error.requeued) return false; // RateLimiter already re-sent this 429
+        if (error instanceof NetworkError || error instanceof TimeoutError) return true;
+        return this.statuses.includes(error.status);
+    }
+
+    // attempt is 1-based (1 = delay before the second try)
+    getDelay(attempt, error, previousDelay = this.baseDelay) {
+        const retryAfter = this.respectRetryAfter && error && error.headers
+            ? parseRetryAfter(error.headers.get('Retry-After'))
+            : null;
+
+        if (retryAfter !== null) {
+            return Math.min(retryAfter, this.maxDelay);
+        }
+
+        const exponential = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+
+        switch (this.jitter) {
+            case 'full':
+                return Math.random() * exponential;
+            case 'decorrelated':
+                // AWS "decorrelated jitter": grows from the previous delay, not the attempt number
+                return Math.min(this.maxDelay, this.baseDelay + Math.random() * (previousDelay * 3 - this.baseDelay));
+            default:
+                return exponential;
+        }
+    }
+
+    // Runs fn until it succeeds, the error is not retryable, or the signal fires.
+    // fn wraps its fetch() errors itself (HttpError.from); a TypeError reaching this far is a bug
+    // in fn (or an interceptor, scheduler...) and is thrown as-is instead of being retried.
+    async execute(fn, { method = 'GET', url = '', signal } = {}) {
+        let delay = this.baseDelay;
+
+        for (let attempt = 1; ; attempt++) {
+            if (signal && signal.aborted) {
+                throw new AbortError(`Request aborted: ${method} ${url}`, { method, url });
+            }
+
+            try {
+                return await fn(attempt);
+            } catch (caught) {
+                if (caught instanceof TypeError) {
+                    throw caught;
+                }
+                const error = HttpError.from(caught, { method, url });
+
+                if (!this.shouldRetry(error, attempt, method)) {
+                    throw error;
+                }
+
+                delay = this.getDelay(attempt, error, delay);
+                if (this.onRetry) {
+                    this.onRetry({ attempt, delay, error });
+                }
+
+                await sleep(delay, signal);
             }
+        }
+    }
+}
+
+// Retry-After is either delta-seconds ("120") or an HTTP date -> milliseconds
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+
+    if (/^\d+$/.test(value.trim())) {
+        return Number(value) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// setTimeout as a promise that rejects early when the signal aborts
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new AbortError('Aborted while waiting to retry'));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new AbortError('Aborted while waiting to retry'));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+// Minimal event emitter shared by the stateful classes below
+class Emitter {
+    constructor() {
+        this.listeners = {};
+    }
+
+    on(event, listener) {
+        (this.listeners[event] = this.listeners[event] || []).push(listener);
+        return () => this.off(event, listener); // unsubscribe
+    }
+
+    off(event, listener) {
+        this.listeners[event] = (this.listeners[event] || []).filter(l => l !== listener);
+    }
 
-            return await response.json();
+    emit(event, payload) {
+        (this.listeners[event] || []).forEach(listener => listener(payload));
+    }
+}
+
+// Circuit breaker - stop calling a downstream that keeps failing
+const CircuitState = {
+    CLOSED: 'CLOSED',       // Normal - requests flow
+    OPEN: 'OPEN',           // Failing fast until the cool-down passes
+    HALF_OPEN: 'HALF_OPEN'  // Letting a few probe requests test recovery
+};
+
+class CircuitOpenError extends HttpError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'CircuitOpenError';
+        this.retryAt = details.retryAt; // Timestamp when a probe will be allowed
+    }
+}
+
+class CircuitBreaker extends Emitter {
+    constructor(options = {}) {
+        super();
+        this.name = options.name || 'default';
+        this.failureThreshold = options.failureThreshold ?? 5; // Failures within the window that open the circuit
+        this.windowSize = options.windowSize ?? 10000;         // Rolling window (ms)
+        this.cooldown = options.cooldown ?? 30000;             // Time spent OPEN before probing (ms)
+        this.halfOpenProbes = options.halfOpenProbes ?? 1;     // Successful probes needed to close
+        this.isFailure = options.isFailure || (error =>
+            error instanceof NetworkError ||
+            error instanceof TimeoutError ||
+            error instanceof ServerError ||
+            error.status === 429
+        );
+
+        this.state = CircuitState.CLOSED;
+        this.failures = [];    // Timestamps of recent failures
+        this.openedAt = 0;
+        this.probesInFlight = 0;
+        this.probeSuccesses = 0;
+
+        if (options.onStateChange) {
+            this.on('stateChange', options.onStateChange);
+        }
+    }
+
+    async execute(fn, { method = 'GET', url = '' } = {}) {
+        this.beforeCall({ method, url });
+        const isProbe = this.state === CircuitState.HALF_OPEN;
+
+        try {
+            const result = await fn();
+            this.onSuccess(isProbe);
+            return result;
         } catch (error) {
-            console.log(`Attempt ${i + 1} failed`);
+            if (error instanceof AbortError) {
+                if (isProbe) this.probesInFlight--; // Caller gave up - says nothing about the server
+            } else if (this.isFailure(error)) {
+                this.onFailure(isProbe);
+            } else {
+                this.onSuccess(isProbe); // The server answered (e.g. 404) - it is up
+            }
+            throw error;
+        }
+    }
+
+    beforeCall({ method, url }) {
+        if (this.state === CircuitState.OPEN) {
+            if (Date.now() - this.openedAt < this.cooldown) {
+                throw new CircuitOpenError(`Circuit breaker is OPEN for ${this.name}`, {
+                    method,
+                    url,
+                    retryAt: this.openedAt + this.cooldown
+                });
+            }
+            this.transition(CircuitState.HALF_OPEN);
+        }
+
+        if (this.state === CircuitState.HALF_OPEN) {
+            if (this.probesInFlight >= this.halfOpenProbes) {
+                throw new CircuitOpenError(`Circuit breaker is HALF_OPEN for ${this.name}, probe in progress`, {
+                    method,
+                    url,
+                    retryAt: Date.now() + this.cooldown
+                });
+            }
+            this.probesInFlight++;
+        }
+    }
+
+    onSuccess(isProbe) {
+        if (!isProbe) {
+            return;
+        }
+
+        this.probesInFlight--;
+        this.probeSuccesses++;
+        if (this.state === CircuitState.HALF_OPEN && this.probeSuccesses >= this.halfOpenProbes) {
+            this.transition(CircuitState.CLOSED);
+        }
+    }
+
+    onFailure(isProbe) {
+        const now = Date.now();
 
-            if (i === retries - 1) {
-                throw error; // Last attempt failed
+        if (isProbe) {
+            this.probesInFlight--;
+            if (this.state === CircuitState.HALF_OPEN) {
+                this.transition(CircuitState.OPEN); // Still broken - back to fail-fast
             }
+            return;
+        }
+
+        this.failures = this.failures.filter(time => now - time < this.windowSize);
+        this.failures.push(now);
+
+        if (this.state === CircuitState.CLOSED && this.failures.length >= this.failureThreshold) {
+            this.transition(CircuitState.OPEN);
+        }
+    }
+
+    transition(to) {
+        const from = this.state;
+        if (from === to) {
+            return;
+        }
 
-            // Wait before retrying
-            await new Promise(resolve => setTimeout(resolve, delay));
-            delay *= 2; // Exponential backoff
+        this.state = to;
+        if (to === CircuitState.OPEN) {
+            this.openedAt = Date.now();
+        }
+        if (to !== CircuitState.OPEN) {
+            this.probeSuccesses = 0;
         }
+        if (to === CircuitState.CLOSED) {
+            this.failures = [];
+        }
+
+        this.emit('stateChange', { name: this.name, from, to });
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    reset() {
+        this.probesInFlight = 0;
+        this.transition(CircuitState.CLOSED);
     }
 }
 
+// Usage
+// const breaker = new CircuitBreaker({ failureThreshold: 5, windowSize: 10000, cooldown: 60000 });
+// breaker.on('stateChange', ({ from, to }) => console.log(`Circuit ${from} → ${to}`));
+// const data = await breaker.execute(() => fetchWithTimeout('/api/flaky-service'));
+
+// Retry logic for failed requests
+// policy: RetryPolicy, its options, or the legacy retries count (then delay is the base delay)
+async function fetchWithRetry(url, options = {}, policy = 3, delay = 1000) {
+    const { fetch: fetchImpl, ...init } = options;
+    const send = resolveFetch(fetchImpl);
+    const retryPolicy = RetryPolicy.from(policy, delay);
+    const request = { method: init.method || 'GET', url };
+
+    return retryPolicy.execute(async (attempt) => {
+        try {
+            const response = await send(url, init);
+            return await readJSON(response, request);
+        } catch (error) {
+            console.log(`Attempt ${attempt} failed`);
+            throw HttpError.from(error, request);
+        }
+    }, { ...request, signal: init.signal });
+}
+
+// Usage
+// await fetchWithRetry('/api/report', { signal }, {
+//     maxAttempts: 5,
+//     jitter: 'decorrelated',
+//     maxDelay: 10000,
+//     onRetry: ({ attempt, delay, error }) => console.log(`Retry #${attempt} in ${delay}ms`, error.status)
+// });
+
 
 // ═══════════════════════════════════════════════════════════════════
 // 9. CORS (Cross-Origin Resource Sharing)
@@ -641,434 +1124,4762 @@ async function fetchWithCache(url) {
     return await response.json();
 }
 
-// Manual caching implementation
-class RequestCache {
-    constructor(ttl = 60000) { // Time to live: 1 minute
-        this.cache = new Map();
-        this.ttl = ttl;
+// Storage adapters - async get/set/delete/keys/clear over different backends.
+// Values must be JSON-safe for WebStorage/FileStorage (see richSerializer below).
+class MemoryStorage {
+    constructor() {
+        this.map = new Map();
     }
 
-    async fetch(url, options = {}) {
-        const cacheKey = `${url}${JSON.stringify(options)}`;
-        const cached = this.cache.get(cacheKey);
-
-        // Return cached if valid
-        if (cached && Date.now() - cached.timestamp < this.ttl) {
-            console.log('📦 Returning cached data');
-            return cached.data;
-        }
-
-        // Fetch new data
-        console.log('🌐 Fetching fresh data');
-        const response = await fetch(url, options);
-        const data = await response.json();
+    async get(key) {
+        return this.map.has(key) ? this.map.get(key) : null;
+    }
 
-        // Store in cache
-        this.cache.set(cacheKey, {
-            data,
-            timestamp: Date.now()
-        });
+    async set(key, value) {
+        this.map.set(key, value);
+    }
 
-        return data;
+    async delete(key) {
+        this.map.delete(key);
     }
 
-    clear() {
-        this.cache.clear();
+    async keys() {
+        return [...this.map.keys()];
     }
 
-    delete(url) {
-        this.cache.delete(url);
+    async clear() {
+        this.map.clear();
     }
 }
 
-// Usage
-const cache = new RequestCache(60000); // 1 minute TTL
-// const users = await cache.fetch('https://jsonplaceholder.typicode.com/users');
-
-
-// ═══════════════════════════════════════════════════════════════════
-// 11. REAL-WORLD EXAMPLES
-// ═══════════════════════════════════════════════════════════════════
-
-/**
- * Complete real-world implementations
- */
+// localStorage / sessionStorage (looked up lazily so importing never touches window)
+class WebStorage {
+    constructor(storage) {
+        this.storage = storage;
+    }
 
-// Example 1: User Authentication
-class AuthService {
-    constructor() {
-        this.token = localStorage.getItem('token');
-        this.baseURL = 'https://api.example.com';
+    get backend() {
+        return this.storage || globalThis.localStorage;
     }
 
-    async login(email, password) {
-        try {
-            const response = await fetch(`${this.baseURL}/auth/login`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ email, password })
-            });
+    async get(key) {
+        const raw = this.backend.getItem(key);
+        return raw === null ? null : JSON.parse(raw);
+    }
 
-            if (!response.ok) {
-                throw new Error('Login failed');
-            }
+    async set(key, value) {
+        this.backend.setItem(key, JSON.stringify(value)); // May throw QuotaExceededError
+    }
 
-            const { token, user } = await response.json();
-            this.token = token;
-            localStorage.setItem('token', token);
+    async delete(key) {
+        this.backend.removeItem(key);
+    }
 
-            return user;
-        } catch (error) {
-            console.error('Login error:', error);
-            throw error;
+    async keys() {
+        const keys = [];
+        for (let i = 0; i < this.backend.length; i++) {
+            keys.push(this.backend.key(i));
         }
+        return keys;
     }
 
-    async logout() {
-        this.token = null;
-        localStorage.removeItem('token');
+    async clear() {
+        this.backend.clear();
+    }
+}
+
+// IndexedDB - structured clone, so Dates and ArrayBuffers survive without serializers
+class IndexedDBStorage {
+    constructor(dbName = 'ajax-storage', storeName = 'entries') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
     }
 
-    async fetchProtected(endpoint) {
-        if (!this.token) {
-            throw new Error('Not authenticated');
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = this.connect();
         }
+        return this.dbPromise;
+    }
 
-        const response = await fetch(`${this.baseURL}${endpoint}`, {
-            headers: {
-                'Authorization': `Bearer ${this.token}`
-            }
+    // Stores can only be created in an upgrade, so a store this database doesn't have yet
+    // (second IndexedDBStorage on the same dbName) reopens it with the next version
+    async connect(version) {
+        const db = await new Promise((resolve, reject) => {
+            const request = version ? indexedDB.open(this.dbName, version) : indexedDB.open(this.dbName);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(this.storeName)) {
+                    request.result.createObjectStore(this.storeName);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
         });
 
-        if (response.status === 401) {
-            this.logout();
-            throw new Error('Session expired');
+        if (!db.objectStoreNames.contains(this.storeName)) {
+            db.close();
+            return this.connect(db.version + 1);
         }
 
-        return await response.json();
+        // Another instance is upgrading - let it, and reconnect on next use
+        db.onversionchange = () => {
+            db.close();
+            this.dbPromise = null;
+        };
+        return db;
     }
-}
 
-// Example 2: API Service with Interceptors
-class APIService {
-    constructor(baseURL) {
-        this.baseURL = baseURL;
-        this.defaultHeaders = {
-            'Content-Type': 'application/json'
-        };
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+            const request = operation(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
 
-    async request(endpoint, options = {}) {
-        const url = `${this.baseURL}${endpoint}`;
+    async get(key) {
+        const value = await this.run('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    set(key, value) {
+        return this.run('readwrite', store => store.put(value, key));
+    }
+
+    delete(key) {
+        return this.run('readwrite', store => store.delete(key));
+    }
+
+    keys() {
+        return this.run('readonly', store => store.getAllKeys());
+    }
+
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+}
+
+// Node - one JSON file, rewritten atomically (tmp file + rename) after each change
+class FileStorage {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.loading = null;
+        this.writing = Promise.resolve();
+    }
+
+    load() {
+        if (!this.loading) {
+            this.loading = require('fs').promises.readFile(this.filePath, 'utf8')
+                .then(text => JSON.parse(text))
+                .catch(error => {
+                    if (error.code !== 'ENOENT') {
+                        console.warn(`FileStorage: ignoring unreadable ${this.filePath}`, error);
+                    }
+                    return {};
+                });
+        }
+        return this.loading;
+    }
+
+    flush(data) {
+        const fs = require('fs').promises;
+        const tmpPath = `${this.filePath}.tmp`;
+        // Chain writes so two changes never interleave on disk
+        this.writing = this.writing
+            .catch(() => {})
+            .then(() => fs.writeFile(tmpPath, JSON.stringify(data)))
+            .then(() => fs.rename(tmpPath, this.filePath));
+        return this.writing;
+    }
+
+    async get(key) {
+        const data = await this.load();
+        return key in data ? data[key] : null;
+    }
+
+    async set(key, value) {
+        const data = await this.load();
+        data[key] = value;
+        return this.flush(data);
+    }
+
+    async delete(key) {
+        const data = await this.load();
+        delete data[key];
+        return this.flush(data);
+    }
+
+    async keys() {
+        return Object.keys(await this.load());
+    }
+
+    async clear() {
+        const data = await this.load();
+        Object.keys(data).forEach(key => delete data[key]);
+        return this.flush(data);
+    }
+}
+
+// Serialization hooks that keep Dates and binary data intact through JSON-only stores
+// The only constructors `$type` may name - never look arbitrary globals up from stored data
+const BINARY_VIEW_TYPES = {
+    Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array, Int32Array, Uint32Array,
+    Float32Array, Float64Array, BigInt64Array, BigUint64Array, DataView
+};
+
+// A user key named `$type` is stored as `$$type` (and `$$type` as `$$$type`, ...) so it can't pose as a tag
+const TYPE_KEY_PATTERN = /^\$+type$/;
+
+const richSerializer = {
+    serialize(value) {
+        if (value instanceof Date) {
+            return { $type: 'Date', value: value.toISOString() };
+        }
+        if (value instanceof ArrayBuffer) {
+            return { $type: 'ArrayBuffer', value: bytesToBase64(new Uint8Array(value)) };
+        }
+        if (ArrayBuffer.isView(value)) {
+            const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+            const type = value.constructor.name in BINARY_VIEW_TYPES ? value.constructor.name : 'Uint8Array'; // e.g. Node Buffer
+            return { $type: type, value: bytesToBase64(bytes) };
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => richSerializer.serialize(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(
+                Object.entries(value).map(([key, item]) => [
+                    TYPE_KEY_PATTERN.test(key) ? `$${key}` : key,
+                    richSerializer.serialize(item)
+                ])
+            );
+        }
+        return value;
+    },
+
+    deserialize(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => richSerializer.deserialize(item));
+        }
+        if (value && typeof value === 'object') {
+            if (value.$type === 'Date') {
+                return new Date(value.value);
+            }
+            if (value.$type === 'ArrayBuffer') {
+                return base64ToBytes(value.value).buffer;
+            }
+            if (Object.prototype.hasOwnProperty.call(BINARY_VIEW_TYPES, value.$type)) {
+                return new BINARY_VIEW_TYPES[value.$type](base64ToBytes(value.value).buffer); // Uint8Array, DataView, ...
+            }
+            return Object.fromEntries(
+                Object.entries(value).map(([key, item]) => [
+                    TYPE_KEY_PATTERN.test(key) && key !== '$type' ? key.slice(1) : key,
+                    richSerializer.deserialize(item)
+                ])
+            );
+        }
+        return value;
+    }
+};
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Manual caching implementation
+// LRU-bounded, stale-while-revalidate, and revalidates with ETag / Last-Modified.
+// Entries are written through to a storage adapter under a versioned namespace.
+class RequestCache {
+    constructor(options = {}) {
+        if (typeof options === 'number') {
+            options = { ttl: options }; // new RequestCache(60000)
+        }
+
+        this.cache = new Map();                       // Insertion order doubles as LRU order
+        this.ttl = options.ttl ?? null;               // Explicit TTL wins over Cache-Control
+        this.defaultTTL = options.defaultTTL ?? 60000; // When neither TTL nor max-age is available
+        this.maxEntries = options.maxEntries ?? 100;
+        this.staleWhileRevalidate = options.staleWhileRevalidate ?? 0; // Extra ms stale data may be served
+
+        // Persistence: bump `version` on deploy to drop entries written by older code
+        this.storage = options.storage || new MemoryStorage();
+        this.namespace = options.namespace || 'request-cache';
+        this.version = options.version ?? 1;
+        this.serialize = options.serialize || (data => data);
+        this.deserialize = options.deserialize || (data => data);
+        this.hydrated = null;
+        this.fetchImpl = resolveFetch(options.fetch);
+    }
+
+    get keyPrefix() {
+        return `${this.namespace}:v${this.version}:`;
+    }
+
+    // Loads persisted entries once; removes entries from other versions of this namespace
+    ready() {
+        if (!this.hydrated) {
+            this.hydrated = this.hydrate();
+        }
+        return this.hydrated;
+    }
+
+    async hydrate() {
+        const loaded = [];
+
+        try {
+            for (const key of await this.storage.keys()) {
+                if (!key.startsWith(`${this.namespace}:`)) {
+                    continue; // Not ours
+                }
+                if (!key.startsWith(this.keyPrefix)) {
+                    await this.storage.delete(key); // Written by an older deploy
+                    continue;
+                }
+
+                const stored = await this.storage.get(key);
+                if (stored) {
+                    loaded.push([key.slice(this.keyPrefix.length), { ...stored, data: this.deserialize(stored.data) }]);
+                }
+            }
+        } catch (error) {
+            console.warn('RequestCache: could not read storage, starting empty', error);
+        }
+
+        // Oldest first, so the LRU order survives the reload
+        loaded
+            .sort((a, b) => a[1].timestamp - b[1].timestamp)
+            .forEach(([cacheKey, entry]) => this.set(cacheKey, entry, false));
+    }
+
+    async fetch(url, options = {}) {
+        await this.ready();
+
+        const { ttl, tags, ...init } = options; // Per-call TTL override, invalidation tags
+        const meta = { ttl, tags };
+        const cacheKey = `${url}${JSON.stringify(init)}`;
+        const cached = this.get(cacheKey);
+        const now = Date.now();
+
+        if (cached && !cached.noCache) {
+            // Return cached if valid
+            if (now < cached.expiresAt) {
+                console.log('📦 Returning cached data');
+                return cached.data;
+            }
+
+            // Stale but inside the SWR window: answer now, refresh in the background
+            if (now < cached.expiresAt + this.staleWhileRevalidate) {
+                console.log('📦 Returning stale data, revalidating');
+                this.revalidateInBackground(cacheKey, url, init, meta, cached);
+                return cached.data;
+            }
+        }
+
+        // Fetch new data (conditionally, when we have validators)
+        console.log('🌐 Fetching fresh data');
+        return this.revalidate(cacheKey, url, init, meta, cached);
+    }
+
+    revalidateInBackground(cacheKey, url, init, meta, cached) {
+        if (cached.revalidating) {
+            return; // One refresh per entry at a time
+        }
+
+        cached.revalidating = this.revalidate(cacheKey, url, init, meta, cached)
+            .catch(error => console.warn('Background revalidation failed:', error))
+            .finally(() => {
+                cached.revalidating = null;
+            });
+    }
+
+    async revalidate(cacheKey, url, init, meta, cached) {
+        const request = { method: init.method || 'GET', url };
+        const headers = new Headers(init.headers);
+
+        if (cached && cached.etag) {
+            headers.set('If-None-Match', cached.etag);
+        }
+        if (cached && cached.lastModified) {
+            headers.set('If-Modified-Since', cached.lastModified);
+        }
+
+        let response;
+        let data;
+        try {
+            response = await this.fetchImpl(url, { ...init, headers });
+
+            if (response.status === 304 && cached) {
+                console.log('📦 Not modified, reusing cached body');
+                data = cached.data;
+            } else {
+                data = await readJSON(response, request);
+            }
+        } catch (error) {
+            throw HttpError.from(error, request);
+        }
+
+        // Store in cache
+        this.store(cacheKey, url, data, response.headers, meta, cached);
+
+        return data;
+    }
+
+    store(cacheKey, url, data, headers, { ttl, tags }, previous) {
+        const cacheControl = parseCacheControl(headers.get('Cache-Control'));
+        const explicitTTL = ttl ?? this.ttl;
+
+        if (explicitTTL === null && cacheControl['no-store'] !== undefined) {
+            this.remove(cacheKey);
+            return;
+        }
+
+        let lifetime = explicitTTL;
+        if (lifetime === null) {
+            lifetime = cacheControl['max-age'] !== undefined
+                ? Number(cacheControl['max-age']) * 1000
+                : this.defaultTTL;
+        }
+
+        this.set(cacheKey, {
+            url,
+            tags: tags || (previous && previous.tags) || [], // An untagged re-fetch keeps the earlier tags
+            data,
+            timestamp: Date.now(),
+            expiresAt: Date.now() + lifetime,
+            // no-cache: keep the body, but always revalidate before using it
+            noCache: explicitTTL === null && cacheControl['no-cache'] !== undefined,
+            // A 304 may omit validators - keep the ones we already had
+            etag: headers.get('ETag') || (previous && previous.etag) || null,
+            lastModified: headers.get('Last-Modified') || (previous && previous.lastModified) || null
+        });
+    }
+
+    // Map lookup that marks the entry as most recently used
+    get(cacheKey) {
+        const entry = this.cache.get(cacheKey);
+        if (entry) {
+            this.cache.delete(cacheKey);
+            this.cache.set(cacheKey, entry);
+        }
+        return entry;
+    }
+
+    set(cacheKey, entry, persist = true) {
+        this.cache.delete(cacheKey);
+        this.cache.set(cacheKey, entry);
+
+        if (persist) {
+            const { revalidating, ...stored } = entry;
+            this.persist(this.storage.set(this.keyPrefix + cacheKey, { ...stored, data: this.serialize(entry.data) }));
+        }
+
+        // Evict least recently used (first in insertion order)
+        while (this.cache.size > this.maxEntries) {
+            this.remove(this.cache.keys().next().value);
+        }
+    }
+
+    // Storage writes are fire-and-forget: a full quota must not fail the request
+    persist(operation) {
+        Promise.resolve(operation).catch(error => console.warn('RequestCache: storage write failed', error));
+    }
+
+    async clear() {
+        this.cache.clear();
+        const keys = await this.storage.keys();
+        await Promise.all(
+            keys
+                .filter(key => key.startsWith(`${this.namespace}:`))
+                .map(key => this.storage.delete(key))
+        );
+    }
+
+    // Removes every cached variant of a URL (any method, headers or body)
+    async delete(url) {
+        return this.invalidateWhere(entry => entry.url === url);
+    }
+
+    // Removes entries fetched with the tag: cache.fetch(url, { tags: ['users'] })
+    async invalidateTag(tag) {
+        const tags = Array.isArray(tag) ? tag : [tag];
+        return this.invalidateWhere(entry => (entry.tags || []).some(t => tags.includes(t)));
+    }
+
+    // Removes entries at or below the URL prefix ('/users' hits '/users/1' and '/users?page=2',
+    // not '/users-archive'), or matching the RegExp
+    async invalidateMatching(pattern) {
+        return this.invalidateWhere(entry => (
+            pattern instanceof RegExp ? pattern.test(entry.url) : isPathPrefix(pattern, entry.url)
+        ));
+    }
+
+    async invalidateWhere(predicate) {
+        await this.ready();
+
+        const keys = [...this.cache.entries()]
+            .filter(([, entry]) => predicate(entry))
+            .map(([cacheKey]) => cacheKey);
+
+        keys.forEach(cacheKey => this.remove(cacheKey));
+        return keys.length; // Number of entries removed
+    }
+
+    remove(cacheKey) {
+        this.cache.delete(cacheKey);
+        this.persist(this.storage.delete(this.keyPrefix + cacheKey));
+    }
+}
+
+// True when `url` is `prefix` itself or lies below it - prefixes only end on a path boundary
+function isPathPrefix(prefix, url) {
+    if (!url.startsWith(prefix)) {
+        return false;
+    }
+    return url.length === prefix.length || prefix.endsWith('/') || '/?#'.includes(url[prefix.length]);
+}
+
+// "public, max-age=60, no-cache" -> { public: '', 'max-age': '60', 'no-cache': '' }
+function parseCacheControl(value) {
+    const directives = {};
+    (value || '').split(',').forEach(part => {
+        const [name, ...rest] = part.trim().split('=');
+        if (name) {
+            directives[name.toLowerCase()] = rest.join('=').replace(/"/g, '');
+        }
+    });
+    return directives;
+}
+
+// Usage
+const cache = new RequestCache(60000); // 1 minute TTL
+// const users = await cache.fetch('https://jsonplaceholder.typicode.com/users');
+// const httpCache = new RequestCache({ maxEntries: 200, staleWhileRevalidate: 30000 }); // TTL from Cache-Control
+// const referenceData = new RequestCache({
+//     storage: new IndexedDBStorage('field-app'),        // or new WebStorage(sessionStorage), new FileStorage('./.cache.json')
+//     namespace: 'reference-data',
+//     version: 4,                                        // bump on deploy to invalidate old entries
+//     ...richSerializer                                  // Dates / binary survive JSON-only stores
+// });
+// const users = await httpCache.fetch('https://api.example.com/users', { tags: ['users'] });
+// await httpCache.invalidateTag('users');
+// await httpCache.invalidateMatching(/\/users\/\d+$/);
+
+
+// ═══════════════════════════════════════════════════════════════════
+// 11. REAL-WORLD EXAMPLES
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Complete real-world implementations
+ */
+
+// Example 1: User Authentication
+// Token storage strategies for AuthService - all synchronous, and none touches
+// browser globals until it is used
+class MemoryTokenStorage {
+    constructor() {
+        this.tokens = { token: null, refreshToken: null };
+    }
+
+    load() {
+        return { ...this.tokens };
+    }
+
+    save(tokens) {
+        this.tokens = { ...tokens };
+    }
+
+    clear() {
+        this.tokens = { token: null, refreshToken: null };
+    }
+
+    // Attach credentials to a fetch init
+    authorize(init, token) {
+        return { ...init, headers: { ...init.headers, 'Authorization': `Bearer ${token}` } };
+    }
+}
+
+// localStorage (survives reloads, shared by tabs) or sessionStorage (per tab)
+class WebTokenStorage extends MemoryTokenStorage {
+    constructor(storage) {
+        super();
+        this.storage = storage;
+    }
+
+    get backend() {
+        return this.storage || globalThis.localStorage;
+    }
+
+    load() {
+        return {
+            token: this.backend.getItem('token'),
+            refreshToken: this.backend.getItem('refreshToken')
+        };
+    }
+
+    save({ token, refreshToken }) {
+        this.backend.setItem('token', token);
+        if (refreshToken) {
+            this.backend.setItem('refreshToken', refreshToken);
+        }
+    }
+
+    clear() {
+        this.backend.removeItem('token');
+        this.backend.removeItem('refreshToken');
+    }
+}
+
+// HttpOnly cookies set by the server - JavaScript never sees the tokens.
+// Requests go out with credentials: 'include' plus the CSRF token echoed from a readable cookie.
+class CookieSessionStorage extends MemoryTokenStorage {
+    constructor({ csrfCookie = 'XSRF-TOKEN', csrfHeader = 'X-XSRF-TOKEN' } = {}) {
+        super();
+        this.cookies = true;
+        this.csrfCookie = csrfCookie;
+        this.csrfHeader = csrfHeader;
+    }
+
+    authorize(init) {
+        const headers = { ...init.headers };
+        const csrfToken = readCookie(this.csrfCookie);
+        if (csrfToken) {
+            headers[this.csrfHeader] = csrfToken;
+        }
+        return { ...init, headers, credentials: 'include' };
+    }
+}
+
+function readCookie(name) {
+    if (typeof document === 'undefined') {
+        return null;
+    }
+    const match = document.cookie.split('; ').find(part => part.startsWith(`${name}=`));
+    return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+}
+
+// Refresh answers that mean "this refresh token is no good" - anything else is worth retrying
+const REFRESH_REJECTED_STATUSES = [400, 401, 403];
+
+// Short-lived access token + refresh token. Every request that hits a 401 waits
+// behind ONE refresh call and is then replayed; only a refresh the server rejects logs out
+// (a network error or 5xx keeps the session and retries after `refreshRetryDelay`).
+// Events: 'login' { user }, 'refresh' { token }, 'logout' { reason } - also fired
+// (with remote: true) when another tab logs in, refreshes or logs out.
+class AuthService extends Emitter {
+    constructor(options = {}) {
+        super();
+        this.baseURL = options.baseURL || 'https://api.example.com';
+        this.loginEndpoint = options.loginEndpoint || '/auth/login';
+        this.refreshEndpoint = options.refreshEndpoint || '/auth/refresh';
+        this.refreshBeforeExpiry = options.refreshBeforeExpiry ?? 60000; // Refresh 1 minute before `exp`
+        this.refreshRetryDelay = options.refreshRetryDelay ?? 30000;     // After a refresh failed in transit
+        this.fetchImpl = resolveFetch(options.fetch);
+
+        this.storage = options.storage || (typeof localStorage !== 'undefined'
+            ? new WebTokenStorage()
+            : new MemoryTokenStorage());
+
+        const { token, refreshToken } = this.storage.load();
+        this.token = token;
+        this.refreshToken = refreshToken;
+        this.refreshing = null;   // The single in-flight refresh promise
+        this.refreshTimer = null;
+        this.generation = 0;      // Bumped on every new token - tells a stale 401 from a fresh one
+        this.lockName = null;     // Web Lock that makes synced tabs take turns refreshing
+
+        // Browser tabs only by default: in Node (SSR) every instance is a different user,
+        // and a global BroadcastChannel would hand one user's tokens to all of them
+        if (options.syncTabs ?? typeof window !== 'undefined') {
+            this.listenToOtherTabs(options.channelName || 'auth');
+            this.lockName = `${options.channelName || 'auth'}:refresh`;
+        }
+        this.scheduleRefresh();
+    }
+
+    // Cookie sessions have no token in JS - assume the cookie is valid until we log out
+    get isAuthenticated() {
+        return this.storage.cookies ? !this.loggedOut : Boolean(this.token);
+    }
+
+    // BroadcastChannel where available, otherwise the `storage` event (localStorage only)
+    listenToOtherTabs(channelName) {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(channelName);
+            this.channel.onmessage = ({ data }) => this.applyRemoteChange(data);
+            if (this.channel.unref) {
+                this.channel.unref(); // Node: don't keep the process alive
+            }
+            return;
+        }
+
+        if (typeof window !== 'undefined' && this.storage instanceof WebTokenStorage) {
+            this.onStorage = (event) => {
+                if (event.storageArea !== this.storage.backend || event.key !== 'token') {
+                    return;
+                }
+                this.applyRemoteChange(event.newValue === null
+                    ? { type: 'logout', reason: 'other-tab' }
+                    : { type: 'refresh', tokens: this.storage.load() });
+            };
+            window.addEventListener('storage', this.onStorage);
+        }
+    }
+
+    broadcast(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+        }
+        // The storage-event path needs no message: the write itself notifies other tabs
+    }
+
+    applyRemoteChange({ type, tokens, user, reason }) {
+        if (type === 'logout') {
+            this.clearSession();
+            this.emit('logout', { reason: reason || 'other-tab', remote: true });
+            return;
+        }
+
+        if (tokens) {
+            this.setTokens(tokens.token, tokens.refreshToken);
+        } else {
+            // Cookie session: no tokens to copy, but the session is live again
+            this.loggedOut = false;
+            this.generation++;
+        }
+        this.emit(type, type === 'login' ? { user, remote: true } : { token: this.token, remote: true });
+    }
+
+    destroy() {
+        clearTimeout(this.refreshTimer);
+        if (this.channel) {
+            this.channel.close();
+        }
+        if (this.onStorage) {
+            window.removeEventListener('storage', this.onStorage);
+        }
+    }
+
+    async login(email, password) {
+        const request = { method: 'POST', url: `${this.baseURL}${this.loginEndpoint}` };
+
+        try {
+            let init = {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ email, password })
+            };
+            if (this.storage.cookies) {
+                init = this.storage.authorize(init); // Let the server set the session cookie
+            }
+
+            const response = await this.fetchImpl(request.url, init);
+
+            const { token, refreshToken, user } = await readJSON(response, request);
+            this.setTokens(token, refreshToken);
+            this.emit('login', { user });
+            this.broadcast({ type: 'login', user, tokens: this.tokensToShare() });
+
+            return user;
+        } catch (error) {
+            console.error('Login error:', error);
+            throw HttpError.from(error, request);
+        }
+    }
+
+    async logout(reason = 'user') {
+        this.clearSession();
+        this.emit('logout', { reason });
+        this.broadcast({ type: 'logout', reason: 'other-tab' });
+    }
+
+    clearSession() {
+        clearTimeout(this.refreshTimer);
+        this.token = null;
+        this.refreshToken = null;
+        this.loggedOut = true;
+        this.storage.clear();
+    }
+
+    setTokens(token, refreshToken = this.refreshToken) {
+        this.token = token || null;
+        this.refreshToken = refreshToken || null;
+        this.loggedOut = false;
+        this.generation++;
+        if (token) {
+            this.storage.save({ token, refreshToken });
+        }
+        this.scheduleRefresh();
+    }
+
+    // Shared web storage may hold tokens another tab got since we last looked
+    adoptStoredTokens() {
+        if (!(this.storage instanceof WebTokenStorage)) {
+            return;
+        }
+        const { token, refreshToken } = this.storage.load();
+        if (token && token !== this.token) {
+            this.setTokens(token, refreshToken);
+        }
+    }
+
+    // Only tokens that already live in shared web storage are sent to other tabs.
+    // Cookie sessions have none (other tabs send the cookie); MemoryTokenStorage keeps them private.
+    tokensToShare() {
+        return this.storage instanceof WebTokenStorage ? { token: this.token, refreshToken: this.refreshToken } : null;
+    }
+
+    // Single-flight: concurrent callers all get the same promise.
+    // Synced tabs also queue on a Web Lock (where supported), so their timers don't race.
+    refresh() {
+        if (!this.refreshing) {
+            const generation = this.generation;
+            const run = () => this.requestNewToken(generation);
+            const locks = this.lockName && typeof navigator !== 'undefined' ? navigator.locks : null;
+
+            this.refreshing = (locks ? locks.request(this.lockName, run) : run()).finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    async requestNewToken(generation = this.generation) {
+        const request = { method: 'POST', url: `${this.baseURL}${this.refreshEndpoint}` };
+
+        this.adoptStoredTokens();
+        if (this.generation !== generation) {
+            return this.token; // Another tab refreshed while we waited for the lock
+        }
+
+        if (!this.refreshToken && !this.storage.cookies) {
+            await this.logout('session-expired');
+            throw new ClientError('Session expired', { ...request, status: 401 });
+        }
+
+        try {
+            // Cookie sessions send the refresh cookie instead of a body token
+            const response = await this.fetchImpl(request.url, this.storage.cookies
+                ? this.storage.authorize({ method: 'POST' })
+                : {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ refreshToken: this.refreshToken })
+                });
+
+            // Servers that rotate refresh tokens send a new one; otherwise keep ours
+            const { token, refreshToken } = (await readJSON(response, request)) || {};
+            this.setTokens(token, refreshToken || this.refreshToken);
+            this.emit('refresh', { token });
+            this.broadcast({ type: 'refresh', tokens: this.tokensToShare() });
+
+            return token;
+        } catch (caught) {
+            // With rotating refresh tokens, losing a race to another tab looks like a rejection:
+            // if that tab's tokens arrived meanwhile, use them instead of logging everyone out
+            this.adoptStoredTokens();
+            if (this.generation !== generation) {
+                return this.token;
+            }
+
+            const error = HttpError.from(caught, request);
+            if (REFRESH_REJECTED_STATUSES.includes(error.status)) {
+                await this.logout('refresh-failed');
+            } else {
+                this.scheduleRefresh(this.refreshRetryDelay); // Offline / server trouble: the session is still valid
+            }
+            throw error;
+        }
+    }
+
+    // Proactive refresh shortly before the JWT `exp` claim (or `delay` ms from now)
+    scheduleRefresh(delay) {
+        clearTimeout(this.refreshTimer);
+
+        const expiresAt = getTokenExpiry(this.token);
+        if (!expiresAt || !this.refreshToken) {
+            return;
+        }
+
+        if (delay === undefined) {
+            delay = Math.max(0, expiresAt - Date.now() - this.refreshBeforeExpiry);
+        }
+        this.refreshTimer = setTimeout(() => {
+            this.refresh().catch(error => console.warn('Proactive token refresh failed:', error));
+        }, delay);
+
+        if (this.refreshTimer.unref) {
+            this.refreshTimer.unref(); // Don't keep a Node process alive for this
+        }
+    }
+
+    async fetchProtected(endpoint, options = {}) {
+        const request = { method: options.method || 'GET', url: `${this.baseURL}${endpoint}` };
+
+        // Hold new requests behind a refresh that is already running
+        if (this.refreshing) {
+            await this.refreshing.catch(() => {});
+        }
+
+        if (!this.isAuthenticated) {
+            throw new ClientError('Not authenticated', { ...request, status: 401 });
+        }
+
+        const sentWith = this.generation;
+        let response = await this.sendWithToken(request, options);
+
+        // Expired access token: refresh once (shared with every other 401) and replay.
+        // If the token changed while this request was out, someone already refreshed - just replay.
+        if (response.status === 401 && (this.refreshToken || this.storage.cookies)) {
+            if (this.generation === sentWith) {
+                await this.refresh();
+            }
+            response = await this.sendWithToken(request, options);
+        }
+
+        if (response.status === 401) {
+            await this.logout('unauthorized');
+        }
+
+        return await readJSON(response, request); // 401 -> ClientError
+    }
+
+    async sendWithToken(request, options) {
+        try {
+            return await this.fetchImpl(request.url, this.storage.authorize(options, this.token));
+        } catch (error) {
+            throw HttpError.from(error, request);
+        }
+    }
+}
+
+// Reads `exp` (seconds) from a JWT payload -> milliseconds, or null for opaque tokens
+function getTokenExpiry(token) {
+    try {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        const { exp } = JSON.parse(atob(payload));
+        return typeof exp === 'number' ? exp * 1000 : null;
+    } catch {
+        return null;
+    }
+}
+
+// Usage
+// const auth = new AuthService({ refreshEndpoint: '/auth/refresh' });
+// const strictAuth = new AuthService({ storage: new MemoryTokenStorage() });      // XSS-sensitive: nothing in storage
+// const cookieAuth = new AuthService({ storage: new CookieSessionStorage() });    // HttpOnly cookies + CSRF header
+// const tabAuth = new AuthService({ storage: new WebTokenStorage(sessionStorage) });
+// auth.on('logout', ({ reason }) => router.navigate('/login'));
+// const profile = await auth.fetchProtected('/me');
+
+// Example 2: API Service with Interceptors
+
+// Interceptor registry (same shape as axios): handlers run in the order they
+// were registered, and eject() leaves a hole so the other ids stay valid
+class InterceptorManager {
+    constructor() {
+        this.handlers = [];
+    }
+
+    use(fulfilled, rejected) {
+        this.handlers.push({ fulfilled, rejected });
+        return this.handlers.length - 1; // id for eject()
+    }
+
+    eject(id) {
+        if (this.handlers[id]) {
+            this.handlers[id] = null;
+        }
+    }
+
+    clear() {
+        this.handlers = [];
+    }
+
+    forEach(fn) {
+        this.handlers.forEach(handler => {
+            if (handler !== null) {
+                fn(handler);
+            }
+        });
+    }
+}
+
+const MUTATION_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const DEDUPE_METHODS = ['GET', 'HEAD'];
+const DEDUPE_HEADERS = ['Authorization', 'Accept', 'Accept-Language']; // Headers that change the answer
+
+// Response schemas - a tiny JSON-Schema-like subset:
+// { type, properties, required, items, enum }, where type is 'string' | 'number' | 'integer' |
+// 'boolean' | 'object' | 'array' | 'null' or a list of them (['string', 'null'] for nullable).
+// Returns [{ path, message }] - empty when the value matches.
+function validateSchema(schema, value, path = '$') {
+    const errors = [];
+    const types = schema.type ? [].concat(schema.type) : null;
+
+    if (types && !types.some(type => matchesType(type, value))) {
+        errors.push({ path, message: `expected ${types.join(' | ')}, got ${describeType(value)}` });
+        return errors; // Nested checks would only add noise
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `expected one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}, got ${JSON.stringify(value)}` });
+    }
+
+    if (schema.items && Array.isArray(value)) {
+        value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+    }
+
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: `${path}.${key}`, message: 'is required' });
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) {
+                errors.push(...validateSchema(propertySchema, value[key], `${path}.${key}`));
+            }
+        });
+    }
+
+    return errors;
+}
+
+function matchesType(type, value) {
+    switch (type) {
+        case 'array': return Array.isArray(value);
+        case 'null': return value === null;
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && !Number.isNaN(value);
+        default: return typeof value === type;
+    }
+}
+
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+// `schema` may also be your own validator:
+//   - a function returning errors ([{ path, message }] or strings), true/false, or
+//     an Ajv-style compiled function (false + fn.errors with instancePath)
+//   - an object with safeParse() (zod) - its parsed output replaces the data
+// -> { errors, value }
+function runSchema(schema, data) {
+    if (typeof schema.safeParse === 'function') {
+        const result = schema.safeParse(data);
+        return result.success
+            ? { errors: [], value: result.data }
+            : {
+                errors: result.error.issues.map(issue => ({
+                    path: formatSchemaPath(issue.path),
+                    message: issue.message
+                })),
+                value: data
+            };
+    }
+
+    if (typeof schema === 'function') {
+        const result = schema(data);
+        let errors = [];
+        if (result === false) {
+            errors = (schema.errors || [{ path: '$', message: 'failed validation' }])
+                .map(error => ({ path: error.path || formatSchemaPath((error.instancePath || '').split('/').slice(1)), message: error.message }));
+        } else if (Array.isArray(result)) {
+            errors = result.map(error => (typeof error === 'string' ? { path: '$', message: error } : error));
+        }
+        return { errors, value: data };
+    }
+
+    return { errors: validateSchema(schema, data), value: data };
+}
+
+// ['items', 0, 'id'] -> '$.items[0].id' (same shape validateSchema reports)
+function formatSchemaPath(parts) {
+    return '$' + parts.map(part => (/^\d+$/.test(String(part)) ? `[${part}]` : `.${part}`)).join('');
+}
+
+// A ready-made `transform`: ISO 8601 timestamps -> Date, anywhere in the payload
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+function reviveDates(value) {
+    if (typeof value === 'string' && ISO_DATE_PATTERN.test(value)) {
+        return new Date(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(reviveDates);
+    }
+    if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, reviveDates(item)]));
+    }
+    return value;
+}
+
+class APIService {
+    constructor(baseURL, options = {}) {
+        this.baseURL = baseURL;
+        this.retryPolicy = options.retry ? RetryPolicy.from(options.retry) : null;
+        this.circuitBreakerOptions = options.circuitBreaker || null; // One breaker per origin
+        this.circuitBreakers = new Map();
+        // Mutations drop matching RequestCache entries: per-call `invalidates` tags,
+        // plus whatever the `invalidates(config)` option returns for every mutation
+        this.cache = options.cache || null;
+        this.invalidates = options.invalidates || null;
+        // Concurrent identical GETs share one network request (`dedupe: false` turns it off)
+        this.dedupe = options.dedupe === false ? null : { headers: DEDUPE_HEADERS, ...options.dedupe };
+        this.inflight = new Map();
+        this.fetchImpl = resolveFetch(options.fetch);
+        // Every network attempt waits for a slot; per-call `priority` / `jobId` pick the lane and handle
+        this.scheduler = options.scheduler ? RequestScheduler.from(options.scheduler) : null;
+        // Waits for a RateLimiter token before taking a scheduler slot, and learns from every response
+        this.rateLimiter = options.rateLimiter || null;
+        // Per-call `schema` is checked with this mode: 'throw' | 'warn' (log, pass data through) | 'off'
+        this.validation = options.validation || 'throw';
+        this.transform = options.transform || null; // Default decoder, e.g. reviveDates
+        this.defaultHeaders = {
+            'Content-Type': 'application/json'
+        };
+        this.interceptors = {
+            request: new InterceptorManager(),
+            response: new InterceptorManager()
+        };
+    }
+
+    async request(endpoint, options = {}) {
+        const config = {
+            ...options,
+            url: `${this.baseURL}${endpoint}`,
+            method: options.method || 'GET',
+            // Merge headers
+            headers: {
+                ...this.defaultHeaders,
+                ...options.headers
+            }
+        };
+
+        // Request interceptors: receive the config, return the (rewritten) config
+        let chain = Promise.resolve(config);
+        this.interceptors.request.forEach(({ fulfilled, rejected }) => {
+            chain = chain.then(fulfilled, rejected);
+        });
+
+        chain = chain.then(finalConfig => {
+            if (finalConfig.priority !== undefined) {
+                assertPriority(finalConfig.priority); // Once per call - a typo fails fast instead of per retry
+            }
+            return this.sendDeduped(finalConfig);
+        });
+
+        // Response interceptors: receive { data, status, headers, config, response }.
+        // An onError handler that returns a value turns the failure into a success.
+        this.interceptors.response.forEach(({ fulfilled, rejected }) => {
+            chain = chain.then(fulfilled, rejected);
+        });
+
+        const result = await chain;
+
+        if (this.cache && MUTATION_METHODS.includes(config.method.toUpperCase())) {
+            await this.invalidateCache(result.config || config);
+        }
+
+        return this.decode(result.data, result.config || config);
+    }
+
+    // Checks `schema`, then applies `transform` - per-call options win over the instance defaults
+    decode(data, config) {
+        const mode = config.validation || this.validation;
+        const transform = config.transform === undefined ? this.transform : config.transform;
+        let value = data;
+
+        if (config.schema && mode !== 'off') {
+            const result = runSchema(config.schema, data);
+            if (result.errors.length > 0) {
+                const error = new ValidationError(
+                    `Response did not match schema: ${result.errors.map(({ path, message }) => `${path} ${message}`).join('; ')}`,
+                    { method: config.method, url: config.url, status: 200, body: data, errors: result.errors }
+                );
+                if (mode !== 'warn') {
+                    throw error;
+                }
+                console.warn('⚠️ ' + error.message); // Roll-out mode: report, don't break the screen
+            } else {
+                value = result.value;
+            }
+        }
+
+        return transform ? transform(value) : value;
+    }
+
+    async invalidateCache(config) {
+        const tags = [
+            ...(config.invalidates || []),
+            ...(this.invalidates ? this.invalidates(config) || [] : [])
+        ];
+
+        // The mutated resource itself (and anything below it) is always stale
+        await this.cache.invalidateMatching(config.url.split('?')[0]);
+        if (tags.length > 0) {
+            await this.cache.invalidateTag(tags);
+        }
+    }
+
+    // Joins an identical in-flight GET instead of sending another one
+    sendDeduped(config) {
+        if (!this.dedupe || config.dedupe === false || !DEDUPE_METHODS.includes(config.method.toUpperCase())) {
+            return this.send(config);
+        }
+
+        const key = this.dedupeKey(config);
+        let entry = this.inflight.get(key);
+
+        if (!entry) {
+            // The shared request gets its own controller: one subscriber aborting must not cancel the rest
+            const controller = new AbortController();
+            entry = { controller, subscribers: 0 };
+            entry.promise = this.send({ ...config, signal: controller.signal })
+                .finally(() => {
+                    if (this.inflight.get(key) === entry) {
+                        this.inflight.delete(key);
+                    }
+                });
+            this.inflight.set(key, entry);
+        }
+
+        return this.subscribe(key, entry, config);
+    }
+
+    subscribe(key, entry, config) {
+        const { method, url, signal } = config;
+        entry.subscribers++;
+
+        // Response interceptors rewrite the result in place and callers mutate `data`:
+        // every subscriber gets its own copy, carrying its own config (schema, transform...)
+        const own = result => ({
+            ...result,
+            data: entry.subscribers > 1 ? structuredClone(result.data) : result.data,
+            config
+        });
+
+        if (!signal) {
+            return entry.promise.then(own); // Never leaves, so the shared request is never cancelled under it
+        }
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                // Like fetch: AbortSignal.timeout() reports a timeout, not an abort
+                reject(signal.reason && signal.reason.name === 'TimeoutError'
+                    ? new TimeoutError(`Request timed out: ${method} ${url}`, { method, url, cause: signal.reason })
+                    : new AbortError(`Request aborted: ${method} ${url}`, { method, url }));
+
+                // Last subscriber gone - cancel the network request
+                if (--entry.subscribers === 0) {
+                    entry.promise.catch(() => {}); // Its AbortError has no one left to report to
+                    entry.controller.abort();
+                    if (this.inflight.get(key) === entry) {
+                        this.inflight.delete(key);
+                    }
+                }
+            };
+
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+
+            signal.addEventListener('abort', onAbort, { once: true });
+            entry.promise
+                .then(result => resolve(own(result)), reject)
+                .finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    // method + URL (query params sorted) + the configured headers
+    dedupeKey(config) {
+        let url = config.url;
+        try {
+            const parsed = new URL(config.url);
+            parsed.searchParams.sort();
+            url = parsed.toString();
+        } catch {
+            // Relative URL - use as-is
+        }
+
+        const headers = new Headers(config.headers);
+        const keyHeaders = this.dedupe.headers.map(name => `${name.toLowerCase()}=${headers.get(name) || ''}`);
+
+        return `${config.method.toUpperCase()} ${url} ${keyHeaders.join('&')}`;
+    }
+
+    // Applies the retry policy: per-call `retry` overrides the instance one, `retry: false` disables it
+    send(config) {
+        const attempt = () => this.attempt(config);
+
+        if (config.retry === false) {
+            return attempt();
+        }
+
+        const policy = this.retryPolicy
+            ? this.retryPolicy.with(config.retry)
+            : config.retry && RetryPolicy.from(config.retry);
+
+        if (!policy) {
+            return attempt();
+        }
+
+        return policy.execute(attempt, config);
+    }
+
+    // A single network attempt, guarded by the origin's circuit breaker (rate limited and scheduled, if configured)
+    attempt(config) {
+        const breaker = this.getCircuitBreaker(config.url);
+        const run = breaker
+            ? () => breaker.execute(() => this.dispatch(config), config)
+            : () => this.dispatch(config);
+
+        const scheduled = !this.scheduler ? run : () => this.scheduler.schedule(run, {
+            priority: config.priority,
+            host: getOrigin(config.url),
+            signal: config.signal,
+            id: config.jobId
+        });
+
+        if (!this.rateLimiter) {
+            return scheduled();
+        }
+
+        return this.rateLimiter.run(config.url, scheduled, { signal: config.signal });
+    }
+
+    getCircuitBreaker(url) {
+        if (!this.circuitBreakerOptions) {
+            return null;
+        }
+
+        const origin = getOrigin(url);
+        if (!this.circuitBreakers.has(origin)) {
+            const options = this.circuitBreakerOptions === true ? {} : this.circuitBreakerOptions;
+            this.circuitBreakers.set(origin, new CircuitBreaker({ ...options, name: origin }));
+        }
+
+        return this.circuitBreakers.get(origin);
+    }
+
+    // Sends the final config over the network and wraps the parsed body
+    async dispatch(config) {
+        const { url, retry, invalidates, dedupe, schema, transform, validation, priority, jobId, ...init } = config;
+        let response;
+        let data;
+
+        try {
+            response = await this.fetchImpl(url, init);
+            data = await readJSON(response, config);
+        } catch (caught) {
+            const error = HttpError.from(caught, config);
+            error.config = config; // lets response interceptors retry or recover
+            throw error;
+        }
+
+        return {
+            data,
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+            config,
+            response
+        };
+    }
+
+    get(endpoint, options) {
+        return this.request(endpoint, { ...options, method: 'GET' });
+    }
+
+    post(endpoint, data, options) {
+        return this.request(endpoint, {
+            ...options,
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    }
+
+    put(endpoint, data, options) {
+        return this.request(endpoint, {
+            ...options,
+            method: 'PUT',
+            body: JSON.stringify(data)
+        });
+    }
+
+    patch(endpoint, data, options) {
+        return this.request(endpoint, {
+            ...options,
+            method: 'PATCH',
+            body: JSON.stringify(data)
+        });
+    }
+
+    delete(endpoint, options) {
+        return this.request(endpoint, { ...options, method: 'DELETE' });
+    }
+}
+
+// Usage
+const api = new APIService('https://jsonplaceholder.typicode.com');
+// const resilientApi = new APIService('https://api.example.com', { retry: { maxAttempts: 4, maxDelay: 8000 } });
+// await resilientApi.post('/orders', order, { retry: { methods: ['POST'] } }); // opt in: endpoint is idempotent
+// const dashboardApi = new APIService('https://api.example.com', {
+//     circuitBreaker: {
+//         failureThreshold: 5,
+//         cooldown: 30000,
+//         onStateChange: ({ name, to }) => showDegradedBanner(name, to !== CircuitState.CLOSED)
+//     }
+// });
+// const usersApi = new APIService('https://api.example.com', { cache: httpCache });
+// await usersApi.post('/users', newUser, { invalidates: ['users'] }); // cached user lists refetch next time
+// Three widgets mounting at once make ONE request; pass { dedupe: false } to force a separate one
+// const [a, b, c] = await Promise.all([api.get('/users'), api.get('/users'), api.get('/users')]);
+// api.interceptors.request.use(config => {
+//     config.headers['X-Correlation-ID'] = crypto.randomUUID();
+//     config.startTime = Date.now();
+//     return config;
+// });
+// const logId = api.interceptors.response.use(result => {
+//     console.log(`✅ ${result.config.method} ${result.config.url} in ${Date.now() - result.config.startTime}ms`);
+//     return result;
+// }, error => {
+//     console.error('API Error:', error);
+//     throw error; // or return { data: fallback } to recover
+// });
+// api.interceptors.response.use(result => ({ ...result, data: result.data.payload })); // unwrap envelope
+// api.interceptors.response.eject(logId);
+// const users = await api.get('/users');
+// const newPost = await api.post('/posts', { title: 'New Post', body: 'Content' });
+// const userSchema = {
+//     type: 'object',
+//     required: ['id', 'email', 'role'],
+//     properties: {
+//         id: { type: 'integer' },
+//         email: { type: 'string' },
+//         role: { enum: ['admin', 'member'] },
+//         address: { type: ['object', 'null'], properties: { city: { type: 'string' } } }
+//     }
+// };
+// const typedApi = new APIService('https://api.example.com', { transform: reviveDates, validation: isDev ? 'warn' : 'throw' });
+// const members = await typedApi.get('/users', { schema: { type: 'array', items: userSchema } });
+// // ValidationError: Response did not match schema: $[3].role expected one of "admin", "member", got "owner"
+// await typedApi.get('/users/1', { schema: UserZodSchema }); // or zod / an Ajv-compiled function
+
+
+// Example 3: Search with Debouncing
+class SearchService {
+    constructor(options = {}) {
+        this.cancelRequest = new CancellableRequest(options);
+        this.debounceTimer = null;
+    }
+
+    debounce(func, delay) {
+        return (...args) => {
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = setTimeout(() => func(...args), delay);
+        };
+    }
+
+    async search(query) {
+        if (!query || query.length < 2) {
+            return [];
+        }
+
+        const results = await this.cancelRequest.fetch(
+            `https://jsonplaceholder.typicode.com/users?q=${encodeURIComponent(query)}`
+        );
+
+        return results || [];
+    }
+
+    debouncedSearch = this.debounce(async (query, callback) => {
+        const results = await this.search(query);
+        callback(results);
+    }, 300);
+}
+
+// Usage: searchService.debouncedSearch('john', (results) => console.log(results));
+
+
+// Example 4: File Upload with Progress
+// One XHR for the whole file - fine for small files. Large files: ResumableUpload below.
+// Node has no XMLHttpRequest: inject one (e.g. from the `xhr2` package) or use ResumableUpload.
+async function uploadFileWithProgress(file, options = {}) {
+    const XHR = options.XMLHttpRequest || globalThis.XMLHttpRequest;
+    const request = { method: 'POST', url: options.url || 'https://example.com/upload' };
+
+    if (!XHR) {
+        throw new NetworkError('XMLHttpRequest is not available - pass options.XMLHttpRequest', request);
+    }
+
+    return new Promise((resolve, reject) => {
+        const xhr = new XHR();
+
+        // Progress tracking
+        xhr.upload.addEventListener('progress', (e) => {
+            if (e.lengthComputable) {
+                const percent = (e.loaded / e.total) * 100;
+                console.log(`Upload: ${percent.toFixed(2)}%`);
+                // Update progress bar: updateProgressBar(percent);
+            }
+        });
+
+        // Complete
+        xhr.addEventListener('load', () => {
+            if (xhr.status === 200) {
+                try {
+                    resolve(JSON.parse(xhr.responseText));
+                } catch (error) {
+                    reject(new ParseError('Invalid JSON Response', { ...request, status: xhr.status, body: xhr.responseText, cause: error }));
+                }
+            } else {
+                let body = xhr.responseText || null;
+                try {
+                    body = JSON.parse(xhr.responseText);
+                } catch {
+                    // Not JSON - keep the raw text
+                }
+                reject(HttpError.forStatus(xhr.status, `Upload failed: ${xhr.status}`, {
+                    ...request,
+                    statusText: xhr.statusText,
+                    headers: parseXHRHeaders(xhr.getAllResponseHeaders()),
+                    body
+                }));
+            }
+        });
+
+        // Error
+        xhr.addEventListener('error', () => {
+            reject(new NetworkError('Upload failed', request));
+        });
+
+        xhr.addEventListener('abort', () => {
+            reject(new AbortError('Upload aborted', request));
+        });
+
+        // Prepare and send
+        const formData = new FormData();
+        formData.append('file', file);
+
+        xhr.open(request.method, request.url);
+        xhr.send(formData);
+    });
+}
+
+// "https://api.example.com/users?x=1" -> "https://api.example.com" (relative URLs use the page origin)
+function getOrigin(url) {
+    try {
+        return new URL(url, typeof location !== 'undefined' ? location.href : undefined).origin;
+    } catch {
+        return 'default';
+    }
+}
+
+// "Content-Type: x\r\nETag: y" -> Headers, to match what fetch errors carry
+function parseXHRHeaders(raw) {
+    const headers = new Headers();
+    raw.trim().split(/[\r\n]+/).forEach(line => {
+        const index = line.indexOf(':');
+        if (index > 0) {
+            headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+        }
+    });
+    return headers;
+}
+
+// Resumable chunked upload (tus 1.0.0: https://tus.io/protocols/resumable-upload)
+// - POST creates the upload, PATCH sends chunks at `Upload-Offset`, HEAD asks the server
+//   how much it has - so a retry or resume continues exactly where the server stopped.
+// - parallel > 1 uses the "concatenation" extension: the file is split into N partial
+//   uploads sent side by side, then joined with `Upload-Concat: final;...`.
+// - Upload URLs are saved in `storage` (see Storage adapters) so a reload can resume.
+// Events: 'progress' { loaded, total, percent, speed, eta }, 'complete' { url }, 'error', 'paused'
+const TUS_VERSION = '1.0.0';
+
+class ResumableUpload extends Emitter {
+    constructor(file, options = {}) {
+        super();
+        this.file = file;
+        this.endpoint = options.endpoint || 'https://example.com/files/';
+        this.chunkSize = options.chunkSize ?? 5 * 1024 * 1024; // 5 MB
+        this.parallel = Math.max(1, options.parallel ?? 1);
+        this.headers = options.headers || {};
+        this.metadata = { filename: file.name || 'blob', filetype: file.type || '', ...options.metadata };
+        this.retry = RetryPolicy.from({ maxAttempts: 5, methods: ['PATCH', 'HEAD', 'POST'], ...options.retry });
+        this.storage = options.storage || new MemoryStorage();
+        this.fetchImpl = resolveFetch(options.fetch);
+        if (options.onProgress) {
+            this.on('progress', options.onProgress);
+        }
+
+        this.state = 'idle';            // idle | uploading | paused | complete | aborted | error
+        this.parts = null;              // [{ start, length, url, offset }]
+        this.controllers = new Set();   // In-flight requests, aborted by pause()/abort()
+        this.samples = [];              // { time, loaded } for speed / ETA
+        this.url = null;
+        this.runs = 0;                  // Each run() gets a number; loops of an older run exit
+        this.done = this.createDone();
+    }
+
+    createDone() {
+        const done = new Promise((resolve, reject) => {
+            this.resolveDone = resolve;
+            this.rejectDone = reject;
+        });
+        done.catch(() => {}); // Rejections surface through start()
+        return done;
+    }
+
+    // Same file + endpoint = same upload, across page reloads
+    get fingerprint() {
+        const { name = 'blob', size, lastModified = 0 } = this.file;
+        return `tus:${this.endpoint}:${name}:${size}:${lastModified}`;
+    }
+
+    // Resolves with the upload URL once the whole file is on the server (pauses included)
+    start() {
+        if (this.state !== 'uploading' && this.state !== 'complete' && this.state !== 'aborted') {
+            if (this.state === 'error') {
+                this.done = this.createDone(); // The old one already rejected; this is a new try
+            }
+            this.state = 'uploading';
+            this.run();
+        }
+        return this.done;
+    }
+
+    resume() {
+        return this.start();
+    }
+
+    pause() {
+        if (this.state === 'uploading') {
+            this.state = 'paused';
+            this.controllers.forEach(controller => controller.abort());
+            this.emit('paused');
+        }
+    }
+
+    // Stops for good and asks the server to discard the partial data (termination extension).
+    // A finished upload is left alone - it is no longer partial data.
+    async abort() {
+        if (this.state === 'complete' || this.state === 'aborted') {
+            return;
+        }
+        this.state = 'aborted';
+        this.controllers.forEach(controller => controller.abort());
+        this.rejectDone(new AbortError('Upload aborted', { method: 'PATCH', url: this.endpoint }));
+
+        const parts = this.parts || [];
+        this.parts = null;
+        await Promise.all(parts.map(part => this.fetchImpl(part.url, {
+            method: 'DELETE',
+            headers: { 'Tus-Resumable': TUS_VERSION, ...this.headers }
+        }).catch(() => {})));
+        await this.storage.delete(this.fingerprint);
+    }
+
+    async run() {
+        const runId = ++this.runs;
+
+        try {
+            if (this.parts) {
+                await this.syncOffsets(); // Resume after pause: trust the server, not our counters
+            } else {
+                this.parts = await this.restoreParts() || await this.createParts();
+            }
+            this.reportProgress();
+
+            await Promise.all(this.parts.map(part => this.uploadPart(part, runId)));
+            if (!this.isCurrent(runId)) {
+                return; // Paused - resume() picks up from here (in a new run)
+            }
+
+            this.url = this.parts.length > 1 ? await this.concatenate() : this.parts[0].url;
+            await this.storage.delete(this.fingerprint);
+
+            this.state = 'complete';
+            this.emit('complete', { url: this.url });
+            this.resolveDone(this.url);
+        } catch (error) {
+            if (!this.isCurrent(runId)) {
+                return; // Paused, aborted, or superseded by a newer run
+            }
+            this.state = 'error';
+            this.emit('error', error);
+            this.rejectDone(error);
+        }
+    }
+
+    // False once pause()/abort() happened or resume() started another run
+    isCurrent(runId) {
+        return this.state === 'uploading' && this.runs === runId;
+    }
+
+    // A previous session's upload URLs, if the server still knows them
+    async restoreParts() {
+        const saved = await this.storage.get(this.fingerprint);
+        if (!saved) {
+            return null;
+        }
+
+        this.parts = saved.parts.map(part => ({ ...part, offset: 0 }));
+        try {
+            await this.syncOffsets();
+            return this.parts;
+        } catch (error) {
+            if (error instanceof AbortError) {
+                throw error; // pause() during the HEAD - the saved upload is still good
+            }
+            await this.storage.delete(this.fingerprint); // Expired on the server - start over
+            return null;
+        }
+    }
+
+    async createParts() {
+        const size = this.file.size;
+        const partSize = Math.ceil(size / this.parallel) || size;
+        const parts = [];
+
+        for (let start = 0; start < size || parts.length === 0; start += partSize) {
+            parts.push({ start, length: Math.min(partSize, size - start), offset: 0, url: null });
+        }
+
+        const concat = parts.length > 1;
+        await Promise.all(parts.map(async (part) => {
+            const headers = { 'Upload-Length': String(part.length) };
+            if (concat) {
+                headers['Upload-Concat'] = 'partial';
+            } else {
+                headers['Upload-Metadata'] = encodeTusMetadata(this.metadata);
+            }
+
+            const response = await this.send(this.endpoint, 'POST', headers);
+            part.url = new URL(response.headers.get('Location'), this.endpoint).toString();
+        }));
+
+        await this.storage.set(this.fingerprint, {
+            parts: parts.map(({ start, length, url }) => ({ start, length, url }))
+        });
+        return parts;
+    }
+
+    async syncOffsets() {
+        await Promise.all(this.parts.map(async (part) => {
+            part.offset = await this.fetchOffset(part);
+        }));
+    }
+
+    async fetchOffset(part) {
+        const response = await this.send(part.url, 'HEAD');
+        const offset = readUploadOffset(response);
+        if (offset === null) {
+            throw new ParseError('Server did not return a valid Upload-Offset', {
+                method: 'HEAD',
+                url: part.url,
+                status: response.status,
+                headers: response.headers
+            });
+        }
+        return offset;
+    }
+
+    // Sequential PATCHes for one part; each chunk is retried from the server's offset.
+    // The HEAD that finds that offset shares the PATCH's retry budget.
+    async uploadPart(part, runId) {
+        let attempt = 0;
+        let needsSync = false;
+
+        while (this.isCurrent(runId)) {
+            try {
+                if (needsSync) {
+                    part.offset = await this.fetchOffset(part);
+                    needsSync = false;
+                }
+                if (part.offset >= part.length) {
+                    return;
+                }
+
+                const from = part.start + part.offset;
+                const chunk = this.file.slice(from, from + Math.min(this.chunkSize, part.length - part.offset));
+                const response = await this.send(part.url, 'PATCH', {
+                    'Upload-Offset': String(part.offset),
+                    'Content-Type': 'application/offset+octet-stream'
+                }, chunk);
+
+                // No (valid) Upload-Offset in the reply: ask the server with HEAD rather than guess
+                const offset = readUploadOffset(response);
+                part.offset = offset === null ? await this.fetchOffset(part) : offset;
+                attempt = 0;
+                this.reportProgress();
+            } catch (error) {
+                if (!this.isCurrent(runId)) {
+                    return;
+                }
+
+                attempt++;
+                // 409 = our offset was wrong: resync at once, but back off if it keeps happening
+                const conflict = error.status === 409;
+                const retryable = conflict ? attempt < this.retry.maxAttempts : this.retry.shouldRetry(error, attempt, 'PATCH');
+                if (!retryable) {
+                    throw error;
+                }
+                if (!conflict || attempt > 1) {
+                    await sleep(this.retry.getDelay(attempt, error));
+                    if (!this.isCurrent(runId)) {
+                        return; // pause() + resume() during the backoff - the new run owns this part
+                    }
+                }
+                needsSync = true;
+            }
+        }
+    }
+
+    async concatenate() {
+        const response = await this.send(this.endpoint, 'POST', {
+            'Upload-Concat': `final;${this.parts.map(part => part.url).join(' ')}`,
+            'Upload-Metadata': encodeTusMetadata(this.metadata)
+        });
+        return new URL(response.headers.get('Location'), this.endpoint).toString();
+    }
+
+    async send(url, method, headers = {}, body) {
+        const controller = new AbortController();
+        this.controllers.add(controller);
+        const request = { method, url };
+
+        try {
+            const response = await this.fetchImpl(url, {
+                method,
+                headers: { 'Tus-Resumable': TUS_VERSION, ...this.headers, ...headers },
+                body,
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw await HttpError.fromResponse(response, request);
+            }
+            return response;
+        } catch (error) {
+            throw HttpError.from(error, request);
+        } finally {
+            this.controllers.delete(controller);
+        }
+    }
+
+    reportProgress() {
+        const total = this.file.size;
+        const loaded = this.parts.reduce((sum, part) => sum + part.offset, 0);
+        const now = Date.now();
+
+        // Speed over the last 5 seconds, so a stall shows up quickly
+        this.samples.push({ time: now, loaded });
+        this.samples = this.samples.filter(sample => now - sample.time <= 5000);
+        const oldest = this.samples[0];
+        const seconds = (now - oldest.time) / 1000;
+        const speed = seconds > 0 ? (loaded - oldest.loaded) / seconds : 0; // bytes/s
+
+        this.emit('progress', {
+            loaded,
+            total,
+            percent: total ? (loaded / total) * 100 : 100,
+            speed,
+            eta: speed > 0 ? (total - loaded) / speed : null // seconds
+        });
+    }
+}
+
+// Upload-Offset as a number, or null when missing / not a non-negative integer
+function readUploadOffset(response) {
+    const value = response.headers.get('Upload-Offset');
+    return value !== null && /^\d+$/.test(value.trim()) ? Number(value) : null;
+}
+
+// { filename: 'a.txt' } -> 'filename YS50eHQ=' (values are base64 of UTF-8)
+function encodeTusMetadata(metadata) {
+    return Object.entries(metadata)
+        .map(([key, value]) => (value === ''
+            ? key // Spec allows a key without a value
+            : `${key} ${bytesToBase64(new TextEncoder().encode(String(value)))}`))
+        .join(',');
+}
+
+// Usage
+// const upload = new ResumableUpload(fileInput.files[0], {
+//     endpoint: 'https://uploads.example.com/files/',
+//     chunkSize: 8 * 1024 * 1024,
+//     parallel: 3,
+//     storage: new WebStorage(localStorage), // resume after a reload
+//     onProgress: ({ percent, speed, eta }) => updateProgressBar(percent, speed, eta)
+// });
+// pauseButton.onclick = () => upload.pause();
+// resumeButton.onclick = () => upload.resume();
+// const fileURL = await upload.start();
+
+// Streaming download with progress (fetch has no progress event - read response.body instead).
+// An interrupted download continues with `Range: bytes=<received>-` guarded by `If-Range`,
+// so if the file changed on the server we get a fresh 200 instead of a corrupt splice.
+// Works in browsers and Node 18+ (both expose response.body as a web ReadableStream).
+// Events: 'progress' { loaded, total, percent }, 'chunk', 'restart', 'complete', 'error', 'paused'
+class StreamingDownload extends Emitter {
+    constructor(url, options = {}) {
+        super();
+        this.url = url;
+        this.headers = options.headers || {};
+        this.as = options.as || 'blob';       // 'blob' | 'arraybuffer' | 'none' (onChunk only, nothing kept)
+        this.retry = RetryPolicy.from({ maxAttempts: 5, ...options.retry });
+        this.fetchImpl = resolveFetch(options.fetch);
+        if (options.onChunk) {
+            this.on('chunk', ({ chunk, loaded, total }) => options.onChunk(chunk, { loaded, total }));
+        }
+        if (options.onProgress) {
+            this.on('progress', options.onProgress);
+        }
+
+        this.state = 'idle';   // idle | downloading | paused | complete | aborted | error
+        this.chunks = [];
+        this.loaded = 0;
+        this.total = null;
+        this.validator = null; // ETag or Last-Modified, for If-Range
+        this.contentType = '';
+        this.controller = null;
+        this.runs = 0;         // Each run() gets a number; a loop from before pause() + resume() exits
+        this.done = new Promise((resolve, reject) => {
+            this.resolveDone = resolve;
+            this.rejectDone = reject;
+        });
+        this.done.catch(() => {}); // Rejections surface through start()
+    }
+
+    // Resolves with a Blob / ArrayBuffer (or null for 'none') once everything arrived
+    start() {
+        if (this.state === 'idle' || this.state === 'paused') {
+            this.state = 'downloading';
+            this.run();
+        }
+        return this.done;
+    }
+
+    resume() {
+        return this.start();
+    }
+
+    pause() {
+        if (this.state === 'downloading') {
+            this.state = 'paused';
+            this.controller.abort();
+            this.emit('paused', { loaded: this.loaded, total: this.total });
+        }
+    }
+
+    abort() {
+        this.state = 'aborted';
+        if (this.controller) {
+            this.controller.abort();
+        }
+        this.chunks = [];
+        this.rejectDone(new AbortError('Download aborted', { method: 'GET', url: this.url }));
+    }
+
+    async run() {
+        const runId = ++this.runs;
+        let attempt = 0;
+
+        while (this.isCurrent(runId)) {
+            try {
+                await this.fetchRemaining();
+                this.finish();
+                return;
+            } catch (caught) {
+                if (!this.isCurrent(runId)) {
+                    return; // pause() / abort()
+                }
+
+                const error = HttpError.from(caught, { method: 'GET', url: this.url });
+                attempt++;
+                if (!this.retry.shouldRetry(error, attempt, 'GET')) {
+                    this.state = 'error';
+                    this.emit('error', error);
+                    this.rejectDone(error);
+                    return;
+                }
+                await sleep(this.retry.getDelay(attempt, error)); // Then continue from this.loaded, unless superseded
+            }
+        }
+    }
+
+    // False once pause()/abort() happened or resume() started another run
+    isCurrent(runId) {
+        return this.state === 'downloading' && this.runs === runId;
+    }
+
+    async fetchRemaining() {
+        const headers = { ...this.headers };
+        if (this.loaded > 0 && this.validator) {
+            headers['Range'] = `bytes=${this.loaded}-`;
+            headers['If-Range'] = this.validator;
+        } else if (this.loaded > 0) {
+            this.restart(); // No validator - can't prove the bytes we have are still valid
+        }
+
+        this.controller = new AbortController();
+        const response = await this.fetchImpl(this.url, { headers, signal: this.controller.signal });
+
+        if (response.status === 416 && this.total !== null && this.loaded >= this.total) {
+            return; // We already had everything
+        }
+        if (!response.ok) {
+            throw await HttpError.fromResponse(response, { method: 'GET', url: this.url });
+        }
+
+        if (response.status === 206) {
+            // Content-Range: bytes 1000-1999/5000
+            const match = /bytes (\d+)-\d+\/(\d+|\*)/.exec(response.headers.get('Content-Range') || '');
+            if (!match || Number(match[1]) !== this.loaded) {
+                throw new ParseError('Unexpected Content-Range in resumed download', {
+                    status: 206,
+                    url: this.url,
+                    headers: response.headers
+                });
+            }
+            if (match[2] !== '*') {
+                this.total = Number(match[2]);
+            }
+        } else {
+            // 200: first request, or the server ignored Range / the file changed
+            if (this.loaded > 0) {
+                this.restart();
+            }
+            const length = response.headers.get('Content-Length');
+            this.total = length !== null ? Number(length) : null;
+        }
+
+        this.validator = response.headers.get('ETag') || response.headers.get('Last-Modified') || null;
+        this.contentType = response.headers.get('Content-Type') || this.contentType;
+
+        const reader = response.body.getReader();
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+
+            this.loaded += value.byteLength;
+            if (this.as !== 'none') {
+                this.chunks.push(value);
+            }
+            this.emit('chunk', { chunk: value, loaded: this.loaded, total: this.total });
+            this.emit('progress', {
+                loaded: this.loaded,
+                total: this.total,
+                percent: this.total ? (this.loaded / this.total) * 100 : null // null when Content-Length is missing
+            });
+        }
+
+        if (this.total !== null && this.loaded < this.total) {
+            // Connection closed early without an error - treat like a network drop
+            throw new NetworkError('Download ended before Content-Length was reached', { method: 'GET', url: this.url });
+        }
+    }
+
+    // Throw away what we have; incremental consumers must reset too
+    restart() {
+        this.chunks = [];
+        this.loaded = 0;
+        this.emit('restart');
+    }
+
+    finish() {
+        let result = null;
+        if (this.as === 'blob') {
+            result = new Blob(this.chunks, { type: this.contentType });
+        } else if (this.as === 'arraybuffer') {
+            const bytes = new Uint8Array(this.loaded);
+            let offset = 0;
+            this.chunks.forEach(chunk => {
+                bytes.set(chunk, offset);
+                offset += chunk.byteLength;
+            });
+            result = bytes.buffer;
+        }
+
+        this.chunks = [];
+        this.state = 'complete';
+        this.emit('complete', { loaded: this.loaded });
+        this.resolveDone(result);
+    }
+}
+
+// Usage
+// const download = new StreamingDownload('https://cdn.example.com/video.mp4', {
+//     onProgress: ({ loaded, total, percent }) => updateProgressBar(percent)
+// });
+// const blob = await download.start();
+// const parsed = new StreamingDownload('/export.ndjson', { as: 'none', onChunk: chunk => parser.write(chunk) });
+
+// Offline mutation outbox: mutations are persisted first, then sent strictly in order.
+// Network errors / 5xx keep them queued until `online` fires or the connectivity probe
+// succeeds; each carries an Idempotency-Key (kept across replays) so a retried POST
+// can't create a duplicate. 409/412 go to `resolveConflict(mutation, error)`, which returns
+// { data, headers } to retry with (e.g. a merged body and a fresh If-Match) or null to drop it.
+// Events: 'change' { length, status }, 'sent', 'conflict', 'failed', 'offline'
+// Persisted with IndexedDB in browsers - under Node pass { storage: new FileStorage('./outbox.json') }.
+class MutationOutbox extends Emitter {
+    constructor(api, options = {}) {
+        super();
+        this.api = api;
+        this.storage = options.storage || (typeof indexedDB !== 'undefined'
+            ? new IndexedDBStorage('ajax-outbox')
+            : new MemoryStorage());
+        this.namespace = options.namespace || 'outbox';
+        this.idempotencyHeader = options.idempotencyHeader || 'Idempotency-Key';
+        this.resolveConflict = options.resolveConflict || null;
+        // URL (HEAD must succeed) or async () => boolean; without one the head mutation is retried directly
+        this.probe = typeof options.probe === 'string' ? this.probeURL(options.probe) : options.probe || null;
+        this.probeInterval = options.probeInterval ?? 15000;
+
+        this.items = [];          // In send order
+        this.status = 'idle';     // idle | pending | syncing | offline
+        this.waiters = new Map(); // id -> { resolve, reject } for callers in this session
+        this.flushing = null;
+        this.nextFlush = null;
+        this.probeTimer = null;
+        this.seq = 0;
+        this.hydrated = null;
+
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            this.onOnline = () => this.flush();
+            window.addEventListener('online', this.onOnline);
+        }
+
+        // Send what a previous session left behind without waiting for the next enqueue().
+        // A storage failure here resurfaces from every later enqueue() / flush().
+        this.flush().catch(() => {});
+    }
+
+    get length() {
+        return this.items.length;
+    }
+
+    // Loads mutations left over from a previous session
+    ready() {
+        if (!this.hydrated) {
+            this.hydrated = this.hydrate();
+        }
+        return this.hydrated;
+    }
+
+    async hydrate() {
+        const prefix = `${this.namespace}:`;
+        const keys = (await this.storage.keys()).filter(key => key.startsWith(prefix));
+        const stored = await Promise.all(keys.map(key => this.storage.get(key)));
+
+        this.items = stored.filter(Boolean).sort((a, b) => a.seq - b.seq);
+        this.seq = this.items.length > 0 ? this.items[this.items.length - 1].seq : 0;
+        this.setStatus(this.items.length > 0 ? 'pending' : 'idle');
+    }
+
+    post(endpoint, data, options) {
+        return this.enqueue('POST', endpoint, data, options);
+    }
+
+    put(endpoint, data, options) {
+        return this.enqueue('PUT', endpoint, data, options);
+    }
+
+    patch(endpoint, data, options) {
+        return this.enqueue('PATCH', endpoint, data, options);
+    }
+
+    delete(endpoint, options) {
+        return this.enqueue('DELETE', endpoint, undefined, options);
+    }
+
+    // Resolves with the response data once delivered - fine to not await (optimistic UI)
+    async enqueue(method, endpoint, data, options = {}) {
+        await this.ready();
+
+        const { signal, ...storable } = options; // Must survive JSON / structured clone
+        const mutation = {
+            id: webCrypto().randomUUID(),
+            key: webCrypto().randomUUID(),
+            seq: ++this.seq,
+            method,
+            endpoint,
+            data,
+            options: storable,
+            createdAt: Date.now()
+        };
+
+        const delivered = new Promise((resolve, reject) => {
+            this.waiters.set(mutation.id, { resolve, reject });
+        });
+        delivered.catch(() => {}); // Not awaiting is allowed; failures are also emitted
+
+        this.items.push(mutation);
+        await this.storage.set(this.storageKey(mutation), mutation);
+        this.setStatus(this.status === 'offline' ? 'offline' : 'pending');
+        this.flush();
+
+        return delivered;
+    }
+
+    // Single-flight: one drain loop at a time keeps the order. A flush() during a drain
+    // queues one more pass - the running loop may already be past the mutation it was called for.
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.drain().finally(() => {
+                this.flushing = null;
+            });
+            return this.flushing;
+        }
+        if (!this.nextFlush) {
+            this.nextFlush = this.flushing.catch(() => {}).then(() => {
+                this.nextFlush = null;
+                return this.flush();
+            });
+        }
+        return this.nextFlush;
+    }
+
+    async drain() {
+        await this.ready();
+        this.stopProbing();
+
+        while (this.items.length > 0) {
+            if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+                this.goOffline(null);
+                return;
+            }
+
+            const mutation = this.items[0];
+            this.setStatus('syncing');
+
+            try {
+                const result = await this.deliver(mutation);
+                await this.settle(mutation, null, result);
+                this.emit('sent', { mutation, data: result });
+            } catch (error) {
+                if (error.status === 409 || error.status === 412) {
+                    await this.handleConflict(mutation, error);
+                } else if (this.isTransient(error)) {
+                    this.goOffline(error); // Network, timeout, 5xx, 408/429, open circuit: keep it and wait
+                    return;
+                } else {
+                    // Other 4xx, or a 2xx we couldn't parse / validate: replaying won't change the answer
+                    await this.settle(mutation, error);
+                    this.emit('failed', { mutation, error });
+                }
+            }
+        }
+
+        this.setStatus('idle');
+    }
+
+    // Errors worth waiting out - anything else means the server has answered for good
+    isTransient(error) {
+        return error instanceof NetworkError
+            || error instanceof TimeoutError
+            || error instanceof ServerError
+            || error instanceof CircuitOpenError
+            || error.status === 408
+            || error.status === 429;
+    }
+
+    deliver({ method, endpoint, data, options, key }) {
+        return this.api.request(endpoint, {
+            ...options,
+            method,
+            retry: false, // The outbox is the retry mechanism
+            headers: { ...options.headers, [this.idempotencyHeader]: key },
+            ...(data === undefined ? {} : { body: JSON.stringify(data) })
+        });
+    }
+
+    async handleConflict(mutation, error) {
+        let resolution = null;
+        try {
+            resolution = this.resolveConflict ? await this.resolveConflict(mutation, error) : null;
+        } catch (resolverError) {
+            error = resolverError;
+        }
+
+        if (!resolution) {
+            await this.settle(mutation, error);
+            this.emit('conflict', { mutation, error });
+            return;
+        }
+
+        // Rebased mutation: new body / headers, and a new key - the old one is bound to the 409
+        Object.assign(mutation, {
+            data: resolution.data === undefined ? mutation.data : resolution.data,
+            options: { ...mutation.options, headers: { ...mutation.options.headers, ...resolution.headers } },
+            key: webCrypto().randomUUID()
+        });
+        await this.storage.set(this.storageKey(mutation), mutation);
+    }
+
+    // Removes the head mutation and answers whoever enqueued it
+    async settle(mutation, error, result) {
+        this.items.shift();
+        await this.storage.delete(this.storageKey(mutation));
+
+        const waiter = this.waiters.get(mutation.id);
+        this.waiters.delete(mutation.id);
+        if (waiter) {
+            if (error) {
+                waiter.reject(error);
+            } else {
+                waiter.resolve(result);
+            }
+        }
+        this.emitChange();
+    }
+
+    goOffline(error) {
+        this.setStatus('offline');
+        this.emit('offline', { error, length: this.items.length });
+
+        this.probeTimer = setTimeout(async () => {
+            this.probeTimer = null;
+            const online = this.probe ? await this.probe() : true;
+            if (online) {
+                this.flush();
+            } else {
+                this.goOffline(error);
+            }
+        }, this.probeInterval);
+        if (this.probeTimer.unref) {
+            this.probeTimer.unref(); // Don't keep a Node process alive for this
+        }
+    }
+
+    stopProbing() {
+        clearTimeout(this.probeTimer);
+        this.probeTimer = null;
+    }
+
+    probeURL(url) {
+        return async () => {
+            try {
+                const response = await this.api.fetchImpl(url, { method: 'HEAD', cache: 'no-store' });
+                return response.ok;
+            } catch {
+                return false;
+            }
+        };
+    }
+
+    storageKey(mutation) {
+        return `${this.namespace}:${mutation.id}`;
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.emitChange();
+    }
+
+    emitChange() {
+        this.emit('change', { length: this.items.length, status: this.status });
+    }
+
+    // Drops every queued mutation (e.g. on logout)
+    async clear() {
+        const items = this.items.splice(0);
+        await Promise.all(items.map(mutation => this.storage.delete(this.storageKey(mutation))));
+        items.forEach(mutation => {
+            const waiter = this.waiters.get(mutation.id);
+            if (waiter) {
+                waiter.reject(new AbortError('Mutation discarded', { method: mutation.method, url: mutation.endpoint }));
+            }
+        });
+        this.waiters.clear();
+        this.setStatus('idle');
+    }
+
+    destroy() {
+        this.stopProbing();
+        if (this.onOnline) {
+            window.removeEventListener('online', this.onOnline);
+        }
+    }
+}
+
+// Usage
+// const outbox = new MutationOutbox(api, {
+//     probe: '/health',
+//     resolveConflict: async (mutation, error) => {
+//         const server = await api.get(mutation.endpoint);
+//         return { data: { ...server, ...mutation.data }, headers: { 'If-Match': error.headers.get('ETag') } };
+//     }
+// });
+// outbox.on('change', ({ length }) => setBadge(length ? `${length} changes pending` : ''));
+// outbox.patch('/todos/7', { done: true }); // Optimistic - no need to await
+
+
+// Example 5: Pagination Handler
+
+// Pagination strategies - each one knows how to build a page URL from its state
+// (page number, offset, cursor, next URL) and how to read the next state back out.
+const defaultGetItems = data => (Array.isArray(data) ? data : (data && (data.items || data.data)) || []);
+
+// ?_page=2&_limit=10 + X-Total-Count (json-server)
+class PageStrategy {
+    constructor({ pageParam = '_page', limitParam = '_limit', totalHeader = 'X-Total-Count', getItems = defaultGetItems } = {}) {
+        this.pageParam = pageParam;
+        this.limitParam = limitParam;
+        this.totalHeader = totalHeader;
+        this.getItems = getItems;
+    }
+
+    initialState() {
+        return 1;
+    }
+
+    stateForPage(page) {
+        return page;
+    }
+
+    buildURL(baseURL, page, pageSize) {
+        return withQuery(baseURL, { [this.pageParam]: page, [this.limitParam]: pageSize });
+    }
+
+    parse({ data, headers, state: page, pageSize }) {
+        const items = this.getItems(data);
+        const total = readCount(headers.get(this.totalHeader));
+        // Without a total, a short page is the last page
+        const hasMore = total !== null ? page * pageSize < total : items.length === pageSize;
+
+        return { items, total, page, nextState: hasMore ? page + 1 : null };
+    }
+}
+
+// ?offset=20&limit=10
+class OffsetStrategy {
+    constructor({ offsetParam = 'offset', limitParam = 'limit', totalHeader = 'X-Total-Count', getTotal = data => data && data.total, getItems = defaultGetItems } = {}) {
+        this.offsetParam = offsetParam;
+        this.limitParam = limitParam;
+        this.totalHeader = totalHeader;
+        this.getTotal = getTotal;
+        this.getItems = getItems;
+    }
+
+    initialState() {
+        return 0;
+    }
+
+    stateForPage(page, pageSize) {
+        return (page - 1) * pageSize;
+    }
+
+    buildURL(baseURL, offset, pageSize) {
+        return withQuery(baseURL, { [this.offsetParam]: offset, [this.limitParam]: pageSize });
+    }
+
+    parse({ data, headers, state: offset, pageSize }) {
+        const items = this.getItems(data);
+        const total = readCount(headers.get(this.totalHeader)) ?? readCount(this.getTotal(data));
+        const hasMore = total !== null ? offset + items.length < total : items.length === pageSize;
+
+        return { items, total, page: Math.floor(offset / pageSize) + 1, nextState: hasMore ? offset + items.length : null };
+    }
+}
+
+// ?cursor=abc&limit=10 -> { items, nextCursor }
+class CursorStrategy {
+    constructor({
+        cursorParam = 'cursor',
+        limitParam = 'limit',
+        getItems = defaultGetItems,
+        getNextCursor = data => (data && (data.nextCursor ?? data.next_cursor)) || null
+    } = {}) {
+        this.cursorParam = cursorParam;
+        this.limitParam = limitParam;
+        this.getItems = getItems;
+        this.getNextCursor = getNextCursor;
+    }
+
+    initialState() {
+        return ''; // No cursor on the first request
+    }
+
+    buildURL(baseURL, cursor, pageSize) {
+        return withQuery(baseURL, cursor
+            ? { [this.cursorParam]: cursor, [this.limitParam]: pageSize }
+            : { [this.limitParam]: pageSize });
+    }
+
+    parse({ data, headers }) {
+        return { items: this.getItems(data), total: null, nextState: this.getNextCursor(data, headers) };
+    }
+}
+
+// RFC 5988: Link: <https://api.example.com/items?page=3>; rel="next" (GitHub style)
+class LinkHeaderStrategy {
+    constructor({ limitParam = 'per_page', getItems = defaultGetItems } = {}) {
+        this.limitParam = limitParam;
+        this.getItems = getItems;
+    }
+
+    initialState() {
+        return ''; // Later states are the absolute "next" URLs
+    }
+
+    buildURL(baseURL, nextURL, pageSize) {
+        return nextURL || withQuery(baseURL, { [this.limitParam]: pageSize });
+    }
+
+    parse({ data, headers, url }) {
+        const links = parseLinkHeader(headers.get('Link'), url);
+        return { items: this.getItems(data), total: null, nextState: links.next || null };
+    }
+}
+
+class PaginationService {
+    constructor(baseURL, options = {}) {
+        this.baseURL = baseURL;
+        this.currentPage = 1;
+        this.pageSize = options.pageSize || 10;
+        this.strategy = options.strategy || new PageStrategy();
+        this.requestOptions = options.requestOptions || {}; // Extra fetch() options (headers, credentials)
+        this.fetchImpl = resolveFetch(options.fetch);
+
+        // Cursor / link strategies can't jump to page N - they walk forward from the last page
+        this.state = this.strategy.initialState();
+        this.nextState = null;
+        this.history = [];
+    }
+
+    async fetchPage(state = this.strategy.initialState()) {
+        const request = { method: 'GET', url: this.strategy.buildURL(this.baseURL, state, this.pageSize) };
+        let response;
+        let data;
+
+        try {
+            response = await this.fetchImpl(request.url, this.requestOptions);
+            data = await readJSON(response, request);
+        } catch (error) {
+            throw HttpError.from(error, request);
+        }
+
+        const { items, total, page = null, nextState } = this.strategy.parse({
+            data,
+            headers: response.headers,
+            state,
+            pageSize: this.pageSize,
+            url: request.url
+        });
+
+        return {
+            data: items,
+            items,
+            page,
+            pageSize: this.pageSize,
+            totalPages: total === null ? null : Math.ceil(total / this.pageSize), // null, not NaN, when unknown
+            totalCount: total,
+            state,
+            nextState: nextState ?? null,
+            hasMore: nextState !== null && nextState !== undefined
+        };
+    }
+
+    async getPage(page = this.currentPage) {
+        let state;
+        if (this.strategy.stateForPage) {
+            state = this.strategy.stateForPage(page, this.pageSize);
+        } else if (page === 1) {
+            state = this.strategy.initialState();
+        } else {
+            throw new Error(`${this.strategy.constructor.name} cannot jump to page ${page} - use nextPage() or pages()`);
+        }
+
+        return this.load(state, page);
+    }
+
+    async load(state, page) {
+        const result = await this.fetchPage(state);
+        this.currentPage = page;
+        this.state = state;
+        this.nextState = result.nextState;
+        return result;
+    }
+
+    async nextPage() {
+        if (this.strategy.stateForPage) {
+            this.currentPage++;
+            return await this.getPage();
+        }
+
+        if (this.nextState === null) {
+            return null; // Last page already loaded (or nothing loaded yet - call getPage() first)
+        }
+        this.history.push(this.state);
+        return await this.load(this.nextState, this.currentPage + 1);
+    }
+
+    async prevPage() {
+        if (this.currentPage > 1) {
+            if (this.strategy.stateForPage) {
+                this.currentPage--;
+                return await this.getPage();
+            }
+            return await this.load(this.history.pop(), this.currentPage - 1);
+        }
+    }
+
+    async goToPage(page) {
+        this.currentPage = page;
+        return await this.getPage();
+    }
+
+    // for await (const page of pager.pages()) - fetches page N+1 while page N is being processed
+    async *pages({ maxPages = Infinity, prefetch = true } = {}) {
+        let pending = this.fetchPage(this.strategy.initialState());
+
+        for (let count = 1; pending; count++) {
+            const page = await pending;
+            const canContinue = page.hasMore && count < maxPages;
+
+            pending = null;
+            if (canContinue && prefetch) {
+                pending = this.fetchPage(page.nextState);
+                pending.catch(() => {}); // Surfaced when awaited; avoids an unhandled rejection if the loop breaks early
+            }
+
+            yield page;
+
+            if (canContinue && !prefetch) {
+                pending = this.fetchPage(page.nextState);
+            }
+        }
+    }
+
+    // for await (const user of pager.items({ getKey: u => u.id })) - getKey skips items that
+    // shifted onto the next page because rows were inserted while paging
+    async *items({ getKey, ...options } = {}) {
+        const seen = new Set();
+
+        for await (const page of this.pages(options)) {
+            for (const item of page.items) {
+                if (getKey) {
+                    const key = getKey(item);
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                }
+                yield item;
+            }
+        }
+    }
+
+    async all({ maxPages = Infinity, getKey } = {}) {
+        const all = [];
+        for await (const item of this.items({ maxPages, getKey })) {
+            all.push(item);
+        }
+        return all;
+    }
+
+    infinite(options) {
+        return new InfiniteScroll(this, options);
+    }
+}
+
+// Infinite scroll: loadMore() from the scroll handler. Items that shift between pages
+// (new rows pushing old ones down) are de-duplicated by key. Offset paging can still
+// SKIP rows when items are deleted - prefer a cursor strategy when the list is very live.
+class InfiniteScroll {
+    constructor(pager, { getKey = item => item.id } = {}) {
+        this.pager = pager;
+        this.getKey = getKey;
+        this.reset();
+    }
+
+    reset() {
+        this.items = [];
+        this.seen = new Set();
+        this.state = this.pager.strategy.initialState();
+        this.hasMore = true;
+        this.loading = null;
+    }
+
+    // Returns only the new items; repeated scroll events while loading share one request
+    loadMore() {
+        if (!this.hasMore) {
+            return Promise.resolve([]);
+        }
+
+        if (!this.loading) {
+            this.loading = this.loadNext().finally(() => {
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    }
+
+    async loadNext() {
+        const page = await this.pager.fetchPage(this.state);
+
+        const fresh = page.items.filter(item => {
+            const key = this.getKey(item);
+            if (this.seen.has(key)) {
+                return false;
+            }
+            this.seen.add(key);
+            return true;
+        });
+
+        this.items.push(...fresh);
+        this.state = page.nextState;
+        this.hasMore = page.hasMore;
+
+        return fresh;
+    }
+}
+
+// Usage
+// const pager = new PaginationService('https://api.example.com/events', { strategy: new CursorStrategy(), pageSize: 50 });
+// for await (const event of pager.items()) { ... }
+// const firstFive = await pager.all({ maxPages: 5 });
+// const feed = pager.infinite({ getKey: post => post.id });
+// new IntersectionObserver(async ([entry]) => entry.isIntersecting && render(await feed.loadMore())).observe(sentinel);
+
+// Merges query params into a (possibly relative) URL that may already have some
+function withQuery(url, params) {
+    const [path, query = ''] = url.split('?');
+    const search = new URLSearchParams(query);
+    Object.entries(params).forEach(([key, value]) => search.set(key, value));
+    return `${path}?${search}`;
+}
+
+function readCount(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const count = parseInt(value, 10);
+    return Number.isNaN(count) ? null : count;
+}
+
+// '<https://x/items?page=3>; rel="next", <...>; rel="last"' -> { next: 'https://x/items?page=3', last: ... }
+function parseLinkHeader(value, baseURL) {
+    const links = {};
+    (value || '').split(/,\s*(?=<)/).forEach(part => {
+        const match = part.match(/<([^>]*)>(.*)/);
+        if (!match) return;
+
+        const rel = match[2].match(/rel="?([^";]+)"?/);
+        if (!rel) return;
+
+        let url = match[1];
+        try {
+            url = new URL(url, baseURL).toString();
+        } catch {
+            // Relative base - keep as given
+        }
+        rel[1].split(/\s+/).forEach(name => {
+            links[name] = url;
+        });
+    });
+    return links;
+}
+
+
+// Example 6: WebSocket Alternative - Long Polling
+// Backs off with jitter on errors, carries an ETag / `since` cursor between polls so the
+// server can answer with just the delta, and pauses while the tab is hidden.
+// Events: 'connected', 'error', 'reconnecting' { attempt, delay }, 'paused', 'resumed'
+class LongPolling extends Emitter {
+    constructor(url, options = {}) {
+        super();
+        this.url = url;
+        this.headers = options.headers || {};
+        this.timeout = options.timeout ?? 0;            // Client-side limit per poll (0 = none)
+        this.minInterval = options.minInterval ?? 1000; // Minimum time between poll starts - no tight loop
+        this.cursorParam = options.cursorParam || 'since';
+        this.getCursor = options.getCursor || (data => (data ? data.cursor ?? data.since : undefined));
+        this.pauseWhenHidden = options.pauseWhenHidden ?? true;
+        this.fetchImpl = resolveFetch(options.fetch);
+        this.backoff = RetryPolicy.from({ baseDelay: 1000, maxDelay: 30000, jitter: 'full', ...options.backoff });
+
+        this.cursor = options.since ?? null;
+        this.etag = null;
+        this.isPolling = false;
+        this.connected = false;
+        this.paused = false;
+        this.controller = null;  // Current request
+        this.lifecycle = null;   // Aborted by stop() - interrupts waits too
+    }
+
+    async start(callback) {
+        if (this.isPolling) {
+            return;
+        }
+
+        this.isPolling = true;
+        // This loop's own lifecycle: after stop() + start() a new loop owns this.lifecycle,
+        // and the old one (possibly still waking from a wait) must exit instead of polling too
+        const lifecycle = new AbortController();
+        this.lifecycle = lifecycle;
+        this.watchVisibility();
+
+        let failures = 0;
+        let delay;
+
+        while (!lifecycle.signal.aborted) {
+            if (this.paused) {
+                await this.waitUntilVisible();
+                continue;
+            }
+
+            const startedAt = Date.now();
+            try {
+                const data = await this.poll();
+
+                if (!this.connected) {
+                    this.connected = true;
+                    this.emit('connected', { url: this.url });
+                }
+                failures = 0;
+
+                if (data !== undefined) {
+                    callback(data);
+                }
+
+                await this.wait(this.minInterval - (Date.now() - startedAt));
+            } catch (error) {
+                if (lifecycle.signal.aborted || (this.paused && error instanceof AbortError)) {
+                    continue; // stop() or the tab was hidden - not a failure
+                }
+
+                failures++;
+                this.connected = false;
+                this.emit('error', error);
+
+                delay = this.backoff.getDelay(failures, error, delay);
+                this.emit('reconnecting', { attempt: failures, delay });
+                await this.wait(delay);
+            }
+        }
+    }
+
+    // One request; resolves undefined when nothing changed (304 / 204)
+    async poll() {
+        const url = this.cursor !== null && this.cursor !== undefined
+            ? withQuery(this.url, { [this.cursorParam]: this.cursor })
+            : this.url;
+        const request = { method: 'GET', url };
+        const headers = { 'Cache-Control': 'no-cache', ...this.headers };
+        if (this.etag) {
+            headers['If-None-Match'] = this.etag;
+        }
+
+        this.controller = new AbortController();
+        let timedOut = false;
+        const timer = this.timeout && setTimeout(() => {
+            timedOut = true;
+            this.controller.abort();
+        }, this.timeout);
+
+        try {
+            const response = await this.fetchImpl(url, { method: 'GET', headers, signal: this.controller.signal });
+
+            if (response.status === 304 || response.status === 204) {
+                return undefined;
+            }
+
+            const data = await readJSON(response, request);
+            this.etag = response.headers.get('ETag') || this.etag;
+            this.cursor = this.getCursor(data, response) ?? this.cursor;
+            return data;
+        } catch (error) {
+            if (timedOut) {
+                throw new TimeoutError(`Poll timed out after ${this.timeout}ms`, { ...request, cause: error });
+            }
+            throw HttpError.from(error, request);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    wait(ms) {
+        return ms > 0 ? sleep(ms, this.lifecycle.signal).catch(() => {}) : Promise.resolve();
+    }
+
+    watchVisibility() {
+        if (!this.pauseWhenHidden || typeof document === 'undefined') {
+            return;
+        }
+
+        this.onVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') {
+                this.paused = true;
+                if (this.controller) {
+                    this.controller.abort(); // Don't hold a connection for a background tab
+                }
+                this.emit('paused');
+            } else if (this.paused) {
+                this.paused = false;
+                this.emit('resumed');
+                if (this.resume) {
+                    this.resume();
+                }
+            }
+        };
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+        this.paused = document.visibilityState === 'hidden';
+    }
+
+    waitUntilVisible() {
+        return new Promise(resolve => {
+            this.resume = resolve;
+            this.lifecycle.signal.addEventListener('abort', resolve, { once: true });
+        });
+    }
+
+    isActive() {
+        return this.isPolling;
+    }
+
+    stop() {
+        this.isPolling = false;
+        this.connected = false;
+        if (this.controller) {
+            this.controller.abort(); // Don't wait for the held request to come back
+        }
+        if (this.lifecycle) {
+            this.lifecycle.abort();
+        }
+        if (this.onVisibilityChange) {
+            document.removeEventListener('visibilitychange', this.onVisibilityChange);
+            this.onVisibilityChange = null;
+        }
+    }
+}
+
+// Usage
+// const notifications = new LongPolling('https://api.example.com/notifications', { timeout: 40000 });
+// notifications.on('connected', () => setIndicator('online'));
+// notifications.on('reconnecting', ({ delay }) => setIndicator(`retrying in ${Math.round(delay / 1000)}s`));
+// notifications.start(({ items }) => renderNotifications(items));
+
+
+// Example 7: Server-Sent Events over fetch
+// Native EventSource can't send custom headers (e.g. Authorization), so this reads
+// the text/event-stream format from a fetch stream instead. Same start/stop API as LongPolling.
+// callback gets every default ('message') event; named events: sse.on('price', handler).
+// Other events: 'open', 'error', 'fallback', 'close' { error } (gave up: 4xx, like EventSource).
+// Reconnects after `retry` ms, doubling (up to maxRetryDelay) while attempts keep failing.
+class SSEClient extends Emitter {
+    constructor(url, options = {}) {
+        super();
+        this.url = url;
+        this.headers = options.headers || {};
+        this.credentials = options.credentials || 'same-origin';
+        this.retry = options.retry ?? 3000;              // Reconnect delay; the server may change it with `retry:`
+        this.maxRetryDelay = options.maxRetryDelay ?? 60000;
+        this.parseJSON = options.parseJSON ?? true;      // JSON.parse data when it looks like JSON
+        this.fallbackURL = options.fallbackURL ?? url;   // LongPolling endpoint; null disables the fallback
+        this.fetchImpl = resolveFetch(options.fetch);
+        this.lastEventId = '';
+        this.isRunning = false;
+        this.controller = null;
+        this.lifecycle = null;   // Aborted by stop() - interrupts the reconnect wait too
+        this.fallback = null;
+    }
+
+    async start(callback) {
+        if (this.isRunning) {
+            return;
+        }
+
+        this.isRunning = true;
+        // This loop's own lifecycle (as in LongPolling): after stop() + start() the old loop,
+        // possibly still in its reconnect wait, must exit instead of streaming alongside the new one
+        const lifecycle = new AbortController();
+        this.lifecycle = lifecycle;
+        let failures = 0;
+
+        while (!lifecycle.signal.aborted) {
+            let delay;
+
+            try {
+                const streamed = await this.connect(callback);
+                if (!streamed) {
+                    return; // Fell back to polling, or the server said "stop" (204)
+                }
+                failures = 0;
+                delay = this.retry; // Read after the stream: it may have sent a new `retry:`
+            } catch (caught) {
+                if (lifecycle.signal.aborted) {
+                    return; // stop() aborted the stream
+                }
+
+                const error = HttpError.from(caught, { method: 'GET', url: this.url });
+                this.emit('error', error);
+
+                // 401/403/404...: reconnecting can't help (and must not hammer an auth endpoint)
+                if (error instanceof ClientError && error.status !== 408 && error.status !== 429) {
+                    this.stop();
+                    this.emit('close', { error });
+                    return;
+                }
+
+                failures++;
+                const retryAfter = error.headers ? parseRetryAfter(error.headers.get('Retry-After')) : null;
+                delay = retryAfter ?? Math.min(this.maxRetryDelay, this.retry * 2 ** (failures - 1));
+            }
+
+            await sleep(delay, lifecycle.signal).catch(() => {});
+        }
+    }
+
+    // Resolves true when the stream ended normally (so we should reconnect)
+    async connect(callback) {
+        this.controller = new AbortController();
+
+        const headers = { 'Accept': 'text/event-stream', 'Cache-Control': 'no-cache', ...this.headers };
+        if (this.lastEventId) {
+            headers['Last-Event-ID'] = this.lastEventId; // Server resumes after the last event we saw
+        }
+
+        const response = await this.fetchImpl(this.url, {
+            headers,
+            credentials: this.credentials,
+            signal: this.controller.signal
+        });
+
+        if (response.status === 204) {
+            this.stop(); // Per spec: 204 means "don't reconnect"
+            return false;
+        }
+        if (!response.ok) {
+            throw await HttpError.fromResponse(response, { method: 'GET', url: this.url });
+        }
+
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!contentType.includes('text/event-stream') || !response.body || !response.body.getReader) {
+            return !this.startFallback(callback, response);
+        }
+
+        this.emit('open', { url: this.url });
+        await this.readStream(response.body.getReader(), callback);
+        return true;
+    }
+
+    async readStream(reader, callback) {
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let event = { type: '', data: [], id: null };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) {
+                return;
+            }
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split(/\r\n|\r|\n/);
+            buffer = lines.pop(); // Last piece may be an incomplete line
+
+            for (const line of lines) {
+                if (line === '') {
+                    this.dispatch(event, callback); // Blank line ends the event
+                    event = { type: '', data: [], id: null };
+                } else if (!line.startsWith(':')) { // ':' lines are comments / keep-alives
+                    this.parseField(line, event);
+                }
+            }
+        }
+    }
+
+    parseField(line, event) {
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) {
+            value = value.slice(1);
+        }
+
+        switch (field) {
+            case 'event':
+                event.type = value;
+                break;
+            case 'data':
+                event.data.push(value);
+                break;
+            case 'id':
+                if (!value.includes('\0')) {
+                    this.lastEventId = value;
+                }
+                break;
+            case 'retry':
+                if (/^\d+$/.test(value)) {
+                    this.retry = Number(value);
+                }
+                break;
+            default:
+                // Unknown fields are ignored
+        }
+    }
+
+    dispatch(event, callback) {
+        if (event.data.length === 0) {
+            return;
+        }
+
+        const raw = event.data.join('\n');
+        let data = raw;
+        if (this.parseJSON && /^[[{"]/.test(raw)) {
+            try {
+                data = JSON.parse(raw);
+            } catch {
+                // Not JSON after all - deliver the text
+            }
+        }
+
+        const message = { type: event.type || 'message', data, lastEventId: this.lastEventId };
+        if (message.type === 'message' && callback) {
+            callback(data, message);
+        }
+        this.emit(message.type, message);
+    }
+
+    // Streaming isn't available (old browser, proxy rewriting the response) - poll instead
+    startFallback(callback, response) {
+        if (this.fallbackURL === null) {
+            throw new ParseError('Response is not an event stream', {
+                status: response.status,
+                url: this.url,
+                headers: response.headers
+            });
+        }
+
+        this.controller.abort(); // Drop the non-stream body
+        this.fallback = new LongPolling(this.fallbackURL, { headers: this.headers, fetch: this.fetchImpl });
+        this.emit('fallback', { url: this.fallbackURL });
+        this.fallback.start(callback);
+        return true;
+    }
+
+    stop() {
+        this.isRunning = false;
+        if (this.controller) {
+            this.controller.abort();
+        }
+        if (this.lifecycle) {
+            this.lifecycle.abort();
+        }
+        if (this.fallback) {
+            this.fallback.stop();
+            this.fallback = null;
+        }
+    }
+}
+
+// Usage
+// const prices = new SSEClient('https://api.example.com/stream', { headers: { Authorization: `Bearer ${token}` } });
+// prices.on('price-update', ({ data }) => updateTicker(data));
+// prices.start(message => console.log('message:', message));
+// prices.stop();
+
+// Example 8: Reconnecting WebSocket
+// Reconnects with backoff, detects half-open sockets with ping/pong, queues outbound
+// messages while disconnected, correlates request/response by id, and re-sends topic
+// subscriptions after every reconnect. Messages are JSON.
+// Events: 'open', 'close', 'error', 'reconnecting' { attempt, delay }, 'message', 'dropped'
+
+// An error reply to request(); body is the whole reply
+class WebSocketRequestError extends HttpError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'WebSocketRequestError';
+        this.code = details.code;
+        this.data = details.data;
+    }
+}
+
+class WebSocketClient extends Emitter {
+    constructor(url, options = {}) {
+        super();
+        this.url = url;
+        this.protocols = options.protocols;
+        this.WebSocket = options.WebSocket || globalThis.WebSocket; // e.g. require('ws') under Node
+        this.backoff = RetryPolicy.from({ baseDelay: 1000, maxDelay: 30000, jitter: 'full', ...options.backoff });
+        this.heartbeat = {
+            interval: 30000,
+            timeout: 10000,                          // No message within this after a ping = dead socket
+            message: { type: 'ping' },
+            isPong: message => message && message.type === 'pong',
+            ...options.heartbeat
+        };
+        this.maxQueueSize = options.maxQueueSize ?? 100;
+        this.requestTimeout = options.requestTimeout ?? 10000;
+        this.subscribeMessage = options.subscribeMessage || (topic => ({ type: 'subscribe', topic }));
+        this.unsubscribeMessage = options.unsubscribeMessage || (topic => ({ type: 'unsubscribe', topic }));
+        this.getTopic = options.getTopic || (message => message && message.topic);
+
+        this.socket = null;
+        this.queue = [];                  // Outbound messages waiting for a connection
+        this.pending = new Map();         // Request id -> { resolve, reject, timer, sent }
+        this.subscriptions = new Map();   // Topic -> Set of handlers
+        this.nextId = 1;
+        this.attempt = 0;
+        this.shouldReconnect = false;
+    }
+
+    get isOpen() {
+        return Boolean(this.socket) && this.socket.readyState === 1; // WebSocket.OPEN
+    }
+
+    // Safe to call again: an open socket or a pending reconnect is kept
+    connect() {
+        this.shouldReconnect = true;
+        if (!this.socket && !this.reconnectTimer) {
+            this.open();
+        }
+        return this;
+    }
+
+    open() {
+        const socket = new this.WebSocket(this.url, this.protocols);
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.attempt = 0;
+            this.emit('open', { url: this.url });
+            this.startHeartbeat();
+
+            // Subscriptions first, so queued messages can rely on them
+            this.subscriptions.forEach((handlers, topic) => this.transmit(this.subscribeMessage(topic)));
+            this.flush();
+        };
+
+        socket.onmessage = (event) => this.handleMessage(event.data);
+        socket.onerror = (event) => this.emit('error', event);
+        socket.onclose = (event) => {
+            if (socket === this.socket) {
+                this.handleClose(event);
+            }
+        };
+    }
+
+    handleMessage(raw) {
+        clearTimeout(this.pongTimer); // Any message proves the connection is alive
+
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch {
+            message = raw;
+        }
+
+        if (this.heartbeat.isPong(message)) {
+            return;
+        }
+
+        // Reply to a request()
+        if (message && message.id !== undefined && this.pending.has(message.id)) {
+            const { resolve, reject, timer } = this.pending.get(message.id);
+            clearTimeout(timer);
+            this.pending.delete(message.id);
+            if (message.error) {
+                reject(new WebSocketRequestError(message.error.message || 'Request failed', {
+                    method: 'WS',
+                    url: this.url,
+                    body: message,
+                    code: message.error.code,
+                    data: message.error.data
+                }));
+            } else {
+                resolve(message);
+            }
+            return;
+        }
+
+        const topic = this.getTopic(message);
+        if (topic !== undefined && this.subscriptions.has(topic)) {
+            this.subscriptions.get(topic).forEach(handler => handler(message));
+        }
+
+        this.emit('message', message);
+    }
+
+    handleClose(event) {
+        this.stopHeartbeat();
+        if (this.socket) {
+            this.socket.onopen = this.socket.onmessage = this.socket.onerror = this.socket.onclose = null;
+            this.socket = null;
+        }
+
+        // Requests already on the wire won't get an answer on a new socket
+        this.pending.forEach(({ reject, timer, sent }, id) => {
+            if (sent) {
+                clearTimeout(timer);
+                this.pending.delete(id);
+                reject(new NetworkError('WebSocket closed before the reply arrived', { method: 'WS', url: this.url }));
+            }
+        });
+
+        this.emit('close', { code: event && event.code, reason: event && event.reason });
+
+        if (this.shouldReconnect) {
+            this.attempt++;
+            const delay = this.backoff.getDelay(this.attempt);
+            this.emit('reconnecting', { attempt: this.attempt, delay });
+            this.reconnectTimer = setTimeout(() => {
+                this.reconnectTimer = null;
+                this.open();
+            }, delay);
+        }
+    }
+
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.heartbeatTimer = setInterval(() => {
+            this.transmit(this.heartbeat.message);
+            clearTimeout(this.pongTimer);
+            this.pongTimer = setTimeout(() => {
+                // Half-open: the OS thinks we're connected but nothing comes back
+                this.emit('error', new TimeoutError('WebSocket heartbeat timed out', { method: 'WS', url: this.url }));
+                const socket = this.socket;
+                this.handleClose({ code: 4000, reason: 'heartbeat timeout' });
+                socket.close(4000, 'heartbeat timeout');
+            }, this.heartbeat.timeout);
+        }, this.heartbeat.interval);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.pongTimer);
+    }
+
+    // Sends now, or queues until the next connection (oldest dropped when full)
+    send(message) {
+        if (this.isOpen) {
+            this.transmit(message);
+            return;
+        }
+
+        this.queue.push(message);
+        if (this.queue.length > this.maxQueueSize) {
+            this.emit('dropped', this.queue.shift());
+        }
+    }
+
+    transmit(message) {
+        this.socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+        if (message && message.id !== undefined && this.pending.has(message.id)) {
+            this.pending.get(message.id).sent = true;
+        }
+    }
+
+    flush() {
+        const queued = this.queue.splice(0);
+        queued.forEach(message => this.transmit(message));
+    }
+
+    // Resolves with the reply carrying the same id
+    request(message, { timeout = this.requestTimeout } = {}) {
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                this.queue = this.queue.filter(queued => queued.id !== id);
+                reject(new TimeoutError(`WebSocket request ${id} timed out`, { method: 'WS', url: this.url }));
+            }, timeout);
+
+            this.pending.set(id, { resolve, reject, timer, sent: false });
+            this.send({ ...message, id });
+        });
+    }
+
+    // Returns an unsubscribe function; the server subscription is re-sent after reconnects
+    subscribe(topic, handler) {
+        if (!this.subscriptions.has(topic)) {
+            this.subscriptions.set(topic, new Set());
+            if (this.isOpen) {
+                this.transmit(this.subscribeMessage(topic));
+            }
+        }
+        this.subscriptions.get(topic).add(handler);
+
+        return () => {
+            const handlers = this.subscriptions.get(topic);
+            if (!handlers) return;
+
+            handlers.delete(handler);
+            if (handlers.size === 0) {
+                this.subscriptions.delete(topic);
+                if (this.isOpen) {
+                    this.transmit(this.unsubscribeMessage(topic));
+                }
+            }
+        };
+    }
+
+    close(code = 1000, reason = 'client closed') {
+        this.shouldReconnect = false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        const socket = this.socket;
+        this.handleClose({ code, reason });
+        if (socket) {
+            socket.close(code, reason);
+        }
+
+        // Nothing will ever answer the queued requests now
+        this.pending.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(new AbortError('WebSocket client closed', { method: 'WS', url: this.url }));
+        });
+        this.pending.clear();
+        this.queue = [];
+    }
+}
+
+// Usage
+// const live = new WebSocketClient('wss://api.example.com/live').connect();
+// live.on('reconnecting', ({ delay }) => setIndicator(`reconnecting in ${Math.round(delay / 1000)}s`));
+// const unsubscribe = live.subscribe('orders', message => renderOrder(message.payload));
+// const { result } = await live.request({ type: 'getQuote', symbol: 'ACME' });
+// live.send({ type: 'typing', room: 42 });        // queued while offline, flushed on reconnect
+
+// ═══════════════════════════════════════════════════════════════════
+// 12. PERFORMANCE OPTIMIZATION
+// ═══════════════════════════════════════════════════════════════════
+
+// Request batching
+
+// One failed entry inside an otherwise successful batch response
+class BatchItemError extends HttpError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'BatchItemError';
+        this.code = details.code;  // e.g. JSON-RPC error code
+        this.data = details.data;
+    }
+}
+
+// Encoders turn queued requests into one body and the response back into
+// one { value } or { error } per request, in request order
+const batchEncoders = {
+    // { requests: [...] } -> [result0, result1, ...] (entries may be { error })
+    array: {
+        encode: requests => ({ requests }),
+        decode: (results, requests) => requests.map((request, index) => {
+            const result = Array.isArray(results) ? results[index] : undefined;
+            if (result === undefined) {
+                return { error: { message: 'No result returned for this request' } };
+            }
+            return result && result.error ? { error: result.error } : { value: result };
+        })
+    },
+
+    // JSON-RPC 2.0 batch: requests are { method, params }, replies are matched by id
+    jsonRpc: {
+        encode: requests => requests.map((request, index) => ({
+            jsonrpc: '2.0',
+            id: index + 1,
+            method: request.method,
+            params: request.params
+        })),
+        decode: (replies, requests) => {
+            const byId = new Map((Array.isArray(replies) ? replies : [replies]).map(reply => [reply.id, reply]));
+            return requests.map((request, index) => {
+                const reply = byId.get(index + 1);
+                if (!reply) {
+                    return { error: { message: `No JSON-RPC reply for "${request.method}"` } };
+                }
+                return reply.error ? { error: reply.error } : { value: reply.result };
+            });
+        }
+    }
+};
+
+class RequestBatcher {
+    constructor(options = {}) {
+        if (typeof options === 'number') {
+            options = { batchDelay: options }; // new RequestBatcher(50)
+        }
+
+        this.queue = [];
+        this.batchDelay = options.batchDelay ?? 50;
+        this.maxBatchSize = options.maxBatchSize ?? 50;
+        this.endpoint = options.endpoint || 'https://api.example.com/batch';
+        this.headers = options.headers || {};
+        this.encoder = options.encoder || batchEncoders.array;
+        this.batchFn = options.batchFn || null;             // DataLoader style: async (requests) => results
+        this.getKey = options.getKey || (request => JSON.stringify(request));
+        this.fetchImpl = resolveFetch(options.fetch);
+        this.pendingByKey = new Map();                      // Same key within one window -> one entry
+        this.timer = null;
+    }
+
+    add(request) {
+        const key = this.getKey(request);
+        if (this.pendingByKey.has(key)) {
+            return this.pendingByKey.get(key);
+        }
+
+        let item;
+        const promise = new Promise((resolve, reject) => {
+            item = { request, resolve, reject };
+        });
+
+        // Registered before a possible flush(), which clears the key map
+        this.pendingByKey.set(key, promise);
+        this.queue.push(item);
+
+        if (this.queue.length >= this.maxBatchSize) {
+            this.flush(); // Full - don't wait for the timer
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.batchDelay);
+        }
+
+        return promise;
+    }
+
+    // DataLoader naming: userLoader.load(1)
+    load(key) {
+        return this.add(key);
+    }
+
+    async flush() {
+        const batch = this.queue.splice(0);
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.pendingByKey.clear();
+
+        if (batch.length === 0) return;
+
+        // Split into maxBatchSize chunks, sent in parallel
+        const chunks = [];
+        for (let i = 0; i < batch.length; i += this.maxBatchSize) {
+            chunks.push(batch.slice(i, i + this.maxBatchSize));
+        }
+        await Promise.all(chunks.map(chunk => this.send(chunk)));
+    }
+
+    async send(batch) {
+        const requests = batch.map(b => b.request);
+        const request = { method: 'POST', url: this.endpoint };
+
+        let outcomes;
+        try {
+            outcomes = this.batchFn
+                ? (await this.batchFn(requests)).map(value => (value instanceof Error ? { error: value } : { value }))
+                : await this.post(requests, request);
+        } catch (error) {
+            // The whole batch failed (network, 5xx) - every caller gets the error
+            const typedError = HttpError.from(error, request);
+            batch.forEach(item => item.reject(typedError));
+            return;
+        }
+
+        // Resolve / reject each caller on its own
+        batch.forEach((item, index) => {
+            const { value, error } = outcomes[index] || { error: { message: 'No result returned for this request' } };
+            if (error === undefined) {
+                item.resolve(value);
+            } else if (error instanceof Error) {
+                item.reject(error);
+            } else {
+                item.reject(new BatchItemError(error.message || 'Batch item failed', {
+                    ...request,
+                    status: 200,
+                    body: error,
+                    code: error.code,
+                    data: error.data
+                }));
+            }
+        });
+    }
+
+    async post(requests, request) {
+        const response = await this.fetchImpl(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body: JSON.stringify(this.encoder.encode(requests))
+        });
+
+        const results = await readJSON(response, request);
+        return this.encoder.decode(results, requests);
+    }
+}
+
+// Usage
+// const rpc = new RequestBatcher({ endpoint: '/rpc', encoder: batchEncoders.jsonRpc, maxBatchSize: 20 });
+// const [user, orders] = await Promise.all([
+//     rpc.add({ method: 'users.get', params: { id: 1 } }),
+//     rpc.add({ method: 'orders.list', params: { userId: 1 } }) // rejects alone if this call fails
+// ]);
+// const userLoader = new RequestBatcher({ batchDelay: 0, batchFn: ids => fetchUsersByIds(ids) });
+// await Promise.all([userLoader.load(1), userLoader.load(2), userLoader.load(1)]); // ONE call with [1, 2]
+
+// GraphQL over APIService - so headers, interceptors (auth!), retries and breakers all apply.
+// Queries fired in the same tick go out as one batched POST ([op, op] -> [result, result]);
+// mutations are always sent on their own so they run in the order they were called.
+class GraphQLError extends HttpError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'GraphQLError';
+        this.errors = details.errors || [];  // [{ message, path, extensions }]
+        this.data = details.data ?? null;    // Partial result - fields that did resolve
+    }
+}
+
+class GraphQLClient {
+    constructor(api, options = {}) {
+        this.api = api;
+        this.endpoint = options.endpoint || '/graphql';
+        // Automatic persisted queries: send only the SHA-256 hash, and the full query
+        // just once when the server answers PersistedQueryNotFound
+        this.persistedQueries = options.persistedQueries || false;
+        this.hashes = new Map();
+        this.batcher = options.batch === false ? null : new RequestBatcher({
+            batchDelay: options.batchDelay ?? 0,
+            maxBatchSize: options.maxBatchSize ?? 10,
+            batchFn: operations => this.post(operations) // Identical operations in one window share a result
+        });
+    }
+
+    query(query, variables = {}, options = {}) {
+        return this.execute(query, variables, options);
+    }
+
+    mutate(mutation, variables = {}, options = {}) {
+        return this.execute(mutation, variables, { ...options, batch: false });
+    }
+
+    async execute(query, variables, { operationName = getOperationName(query), batch = true, ...requestOptions } = {}) {
+        const operation = { query, variables, operationName };
+        const payload = this.persistedQueries ? await this.toPersisted(operation) : operation;
+
+        let result = await this.send(payload, batch, requestOptions);
+        if (this.persistedQueries && isPersistedQueryMiss(result)) {
+            result = await this.send({ ...payload, query }, batch, requestOptions); // Registers the hash
+        }
+
+        const errors = (result && result.errors) || [];
+        if (errors.length > 0) {
+            throw new GraphQLError(`GraphQL ${operationName || 'operation'} failed: ${errors.map(error => error.message).join('; ')}`, {
+                method: 'POST',
+                url: `${this.api.baseURL}${this.endpoint}`,
+                status: 200,
+                body: result,
+                errors,
+                data: result.data
+            });
+        }
+        return result ? result.data : null;
+    }
+
+    async send(payload, batch, requestOptions) {
+        try {
+            // Per-call headers / signal can't be shared with other operations, so those skip the batch
+            if (this.batcher && batch && Object.keys(requestOptions).length === 0) {
+                return await this.batcher.add(payload);
+            }
+            return await this.api.post(this.endpoint, payload, requestOptions);
+        } catch (error) {
+            if (error.body && Array.isArray(error.body.errors)) {
+                return error.body; // 400 with a GraphQL envelope (validation errors) - report it like any other
+            }
+            throw error;
+        }
+    }
+
+    // RequestBatcher batchFn: a lone operation is sent unwrapped, so servers without batching work too
+    async post(operations) {
+        if (operations.length === 1) {
+            return [await this.api.post(this.endpoint, operations[0])];
+        }
+        return this.api.post(this.endpoint, operations);
+    }
+
+    async toPersisted({ query, variables, operationName }) {
+        if (!this.hashes.has(query)) {
+            this.hashes.set(query, sha256Hex(query));
+        }
+        return {
+            variables,
+            operationName,
+            extensions: { persistedQuery: { version: 1, sha256Hash: await this.hashes.get(query) } }
+        };
+    }
+}
+
+// "query GetUser($id: ID!) { ... }" -> "GetUser"
+function getOperationName(query) {
+    const match = /\b(?:query|mutation|subscription)\s+([_A-Za-z][_0-9A-Za-z]*)/.exec(query);
+    return match ? match[1] : undefined;
+}
+
+function isPersistedQueryMiss(result) {
+    return Boolean(result && result.errors && result.errors.some(error =>
+        error.message === 'PersistedQueryNotFound' ||
+        (error.extensions && error.extensions.code === 'PERSISTED_QUERY_NOT_FOUND')));
+}
+
+async function sha256Hex(text) {
+    const digest = await webCrypto().subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Usage
+// const gql = new GraphQLClient(api, { endpoint: '/graphql', persistedQueries: true });
+// const [user, feed] = await Promise.all([          // ONE POST with both operations
+//     gql.query(`query GetUser($id: ID!) { user(id: $id) { id name } }`, { id: 1 }),
+//     gql.query(`query Feed { feed { id title } }`)
+// ]);
+// try {
+//     await gql.mutate(`mutation Like($id: ID!) { like(postId: $id) { likes } }`, { id: 7 });
+// } catch (error) {
+//     if (error instanceof GraphQLError) render(error.data); // partial data survives
+// }
+
+// Priority scheduler - caps how many requests run at once, overall and per host,
+// and starts queued work by lane: critical > normal > background (FIFO within a lane).
+// Jobs can be cancelled (signal or cancel(id)) while queued and moved to another lane,
+// e.g. when a thumbnail scrolls into view. Emits 'change' with stats() on every move.
+const Priority = {
+    CRITICAL: 'critical',
+    NORMAL: 'normal',
+    BACKGROUND: 'background'
+};
+
+const PRIORITY_LANES = [Priority.CRITICAL, Priority.NORMAL, Priority.BACKGROUND];
+
+// A typo in `priority` is a bug in the caller - RangeError, so no retry policy mistakes it for a flaky network
+function assertPriority(priority) {
+    if (!PRIORITY_LANES.includes(priority)) {
+        throw new RangeError(`Unknown priority "${priority}" - use one of ${PRIORITY_LANES.join(', ')}`);
+    }
+}
+
+class RequestScheduler extends Emitter {
+    constructor(options = {}) {
+        super();
+        this.maxConcurrent = options.maxConcurrent ?? 8;
+        this.maxPerHost = options.maxPerHost ?? 6; // Browsers allow ~6 HTTP/1.1 connections per host
+        this.lanes = new Map(PRIORITY_LANES.map(lane => [lane, []]));
+        this.jobs = new Map();                     // id -> queued job
+        this.active = 0;
+        this.activeByHost = new Map();
+        this.paused = false;
+        this.nextId = 0;
+    }
+
+    static from(value) {
+        if (value instanceof RequestScheduler) {
+            return value;
+        }
+        return new RequestScheduler(value === true ? {} : value);
+    }
+
+    // task: () => Promise. Resolves / rejects with the task's result once it got a slot and ran.
+    // An `id` must be unique among queued jobs - cancel(id) / setPriority(id) would hit the wrong one.
+    schedule(task, { priority = Priority.NORMAL, host = 'default', signal, id } = {}) {
+        assertPriority(priority);
+        if (id !== undefined && this.jobs.has(id)) {
+            throw new Error(`A job with id "${id}" is already queued`);
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = { id: id ?? `job-${++this.nextId}`, task, host, priority, signal, resolve, reject };
+
+            if (signal) {
+                if (signal.aborted) {
+                    reject(new AbortError('Request cancelled before it started'));
+                    return;
+                }
+                job.onAbort = () => this.cancel(job.id);
+                signal.addEventListener('abort', job.onAbort, { once: true });
+            }
+
+            this.jobs.set(job.id, job);
+            this.lanes.get(priority).push(job);
+            this.pump();
+            this.emitChange();
+        });
+    }
+
+    // Moves a queued job to another lane; false if it already started (or never existed)
+    setPriority(id, priority) {
+        const job = this.jobs.get(id);
+        if (!job || !this.lanes.has(priority)) {
+            return false;
+        }
+
+        this.removeFromLane(job);
+        job.priority = priority;
+        this.lanes.get(priority).push(job);
+        this.pump();
+        this.emitChange();
+        return true;
+    }
+
+    // Drops a queued job - running requests are cancelled with their own AbortSignal
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return false;
+        }
+
+        this.forget(job);
+        job.reject(new AbortError('Request cancelled before it started'));
+        this.emitChange();
+        return true;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.pump();
+    }
+
+    // Cancels everything still waiting
+    clear() {
+        [...this.jobs.keys()].forEach(id => this.cancel(id));
+    }
+
+    pump() {
+        while (!this.paused && this.active < this.maxConcurrent) {
+            const job = this.nextRunnable();
+            if (!job) {
+                return; // Empty, or every waiting host is at its limit
+            }
+
+            this.forget(job);
+            this.active++;
+            this.activeByHost.set(job.host, (this.activeByHost.get(job.host) || 0) + 1);
+
+            Promise.resolve()
+                .then(job.task)
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    this.active--;
+                    const hostActive = this.activeByHost.get(job.host) - 1;
+                    if (hostActive === 0) {
+                        this.activeByHost.delete(job.host);
+                    } else {
+                        this.activeByHost.set(job.host, hostActive);
+                    }
+                    this.pump();
+                    this.emitChange();
+                });
+        }
+    }
+
+    // Highest lane first; skips jobs whose host is saturated so other hosts aren't blocked
+    nextRunnable() {
+        for (const lane of PRIORITY_LANES) {
+            const job = this.lanes.get(lane).find(candidate => (this.activeByHost.get(candidate.host) || 0) < this.maxPerHost);
+            if (job) {
+                return job;
+            }
+        }
+        return null;
+    }
+
+    forget(job) {
+        this.removeFromLane(job);
+        this.jobs.delete(job.id);
+        if (job.onAbort) {
+            job.signal.removeEventListener('abort', job.onAbort);
+        }
+    }
+
+    removeFromLane(job) {
+        const lane = this.lanes.get(job.priority);
+        lane.splice(lane.indexOf(job), 1);
+    }
+
+    // Queue depth metrics for dashboards / devtools
+    stats() {
+        const queuedByLane = {};
+        this.lanes.forEach((jobs, lane) => {
+            queuedByLane[lane] = jobs.length;
+        });
+
+        return {
+            active: this.active,
+            queued: this.jobs.size,
+            queuedByLane,
+            activeByHost: Object.fromEntries(this.activeByHost)
+        };
+    }
+
+    emitChange() {
+        this.emit('change', this.stats());
+    }
+}
+
+// Usage
+// const scheduler = new RequestScheduler({ maxConcurrent: 6, maxPerHost: 4 });
+// const thumbsApi = new APIService('https://cdn.example.com', { scheduler });
+// const thumbs = photos.map(photo => thumbsApi.get(`/thumbs/${photo.id}`, { priority: 'background', jobId: `thumb-${photo.id}` }));
+// onScrollIntoView(photo => scheduler.setPriority(`thumb-${photo.id}`, 'critical'));
+// await api.get('/me', { priority: 'critical' }); // Jumps the 200 queued thumbnails
+// scheduler.on('change', ({ active, queued }) => devtools.log(`${active} running, ${queued} waiting`));
+// Plain functions work too: scheduler.schedule(() => fetch(url), { host: getOrigin(url) })
+
+// Client-side rate limiting: one token bucket per rule (or per origin for the default),
+// corrected by the server's own numbers after every response:
+//   X-RateLimit-Limit / -Remaining / -Reset   (Reset: epoch seconds or delta seconds)
+//   RateLimit-Limit / -Remaining / -Reset, RateLimit: limit=100, remaining=5, reset=30, RateLimit-Policy: 100;w=60
+// A limit with no reset or policy is assumed to refill over `fallbackWindow` (default 60 s).
+// A 429 empties the bucket until Retry-After / reset, so queued requests wait instead of failing,
+// and the 429'd request itself is re-queued (requeueOn429 times) - the server didn't process it.
+// A 429 that outlasts the re-queues is marked `requeued`, so a RetryPolicy above won't send it yet again.
+class RateLimiter {
+    constructor(options = {}) {
+        // [{ match: 'https://api.github.com' | /\/search\// | (url) => boolean, capacity, interval }]
+        this.rules = options.rules || [];
+        // Unmatched origins: { capacity, interval }, or null to only follow what the server reports
+        this.defaultLimit = options.default || null;
+        this.requeueOn429 = options.requeueOn429 ?? 2;
+        // Window assumed when the server sends a limit with neither a reset nor a policy
+        this.fallbackWindow = options.fallbackWindow ?? 60 * 1000;
+        this.buckets = new Map();
+    }
+
+    // Resolves when a request to `url` may go out (takes one token)
+    acquire(url, signal) {
+        const bucket = this.bucketFor(url);
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new AbortError('Aborted while waiting for rate limit'));
+                return;
+            }
+
+            const waiter = { resolve, reject, signal };
+            if (signal) {
+                waiter.onAbort = () => {
+                    bucket.queue.splice(bucket.queue.indexOf(waiter), 1);
+                    reject(new AbortError('Aborted while waiting for rate limit'));
+                    this.drain(bucket); // Drops the timer if nobody is left waiting
+                };
+                signal.addEventListener('abort', waiter.onAbort, { once: true });
+            }
+
+            bucket.queue.push(waiter);
+            this.drain(bucket);
+        });
+    }
+
+    // Acquire, run, learn from the outcome. task resolves with something that has
+    // `status` and `headers` (a Response, an APIService result) or rejects with an HttpError.
+    async run(url, task, { signal } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            await this.acquire(url, signal);
+
+            try {
+                const result = await task();
+                this.update(url, result.headers, result.status);
+                return result;
+            } catch (error) {
+                this.update(url, error.headers, error.status);
+                if (error.status !== 429 || attempt >= this.requeueOn429) {
+                    if (error.status === 429 && attempt > 0) {
+                        error.requeued = true; // See RetryPolicy.shouldRetry
+                    }
+                    throw error;
+                }
+            }
+        }
+    }
+
+    // Feeds rate-limit headers (and 429s) back into the bucket
+    update(url, headers, status) {
+        const bucket = this.bucketFor(url);
+        const info = headers ? parseRateLimitHeaders(headers) : null;
+        const now = Date.now();
+
+        if (info) {
+            if (info.limit !== null) {
+                bucket.capacity = info.limit;
+                if (info.window) {
+                    bucket.rate = info.limit / info.window;
+                } else if (!bucket.configured && info.reset) {
+                    bucket.rate = info.limit / Math.max(info.reset, 1000); // Best guess until a policy says otherwise
+                } else if (!bucket.configured && bucket.rate === 0) {
+                    bucket.rate = info.limit / this.fallbackWindow; // Otherwise Remaining: 0 would never refill
+                }
+            }
+            if (info.remaining !== null) {
+                bucket.tokens = Math.min(bucket.tokens, info.remaining); // The server's count wins if lower
+            }
+            if (info.reset !== null && info.remaining === 0) {
+                bucket.resetAt = now + info.reset;
+            }
+        }
+
+        if (status === 429) {
+            const retryAfter = headers ? parseRetryAfter(headers.get('Retry-After')) : null;
+            const wait = retryAfter ?? (info && info.reset) ?? 1000;
+            bucket.tokens = 0;
+            bucket.resetAt = Math.max(bucket.resetAt || 0, now + wait);
+        }
+
+        bucket.updatedAt = now;
+        this.drain(bucket);
+    }
+
+    // What's left for this URL's bucket: { limit, remaining, resetAt } (Infinity when unlimited)
+    budget(url) {
+        const bucket = this.bucketFor(url);
+        this.refill(bucket);
+        return {
+            limit: bucket.capacity,
+            remaining: Math.floor(bucket.tokens),
+            resetAt: bucket.resetAt ? new Date(bucket.resetAt) : null,
+            queued: bucket.queue.length
+        };
+    }
+
+    bucketFor(url) {
+        const index = this.rules.findIndex(({ match }) => (
+            typeof match === 'function' ? match(url)
+                : match instanceof RegExp ? match.test(url)
+                : url.startsWith(match)
+        ));
+        const key = index >= 0 ? `rule:${index}` : `origin:${getOrigin(url)}`;
+
+        if (!this.buckets.has(key)) {
+            const limit = index >= 0 ? this.rules[index] : this.defaultLimit;
+            const capacity = limit ? limit.capacity : Infinity;
+            this.buckets.set(key, {
+                capacity,
+                tokens: capacity,
+                rate: limit ? capacity / (limit.interval ?? 1000) : 0, // Tokens per ms
+                configured: Boolean(limit && limit.interval),
+                resetAt: null,
+                updatedAt: Date.now(),
+                queue: [],
+                timer: null
+            });
+        }
+        return this.buckets.get(key);
+    }
+
+    refill(bucket) {
+        const now = Date.now();
+
+        if (bucket.resetAt) {
+            if (now < bucket.resetAt) {
+                return; // Blocked until the server's window resets
+            }
+            bucket.tokens = bucket.capacity;
+            bucket.resetAt = null;
+        } else if (bucket.capacity === Infinity) {
+            bucket.tokens = Infinity;
+        } else {
+            bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.rate);
+        }
+        bucket.updatedAt = now;
+    }
+
+    // Hands out tokens in FIFO order, then sleeps until the next one is due
+    drain(bucket) {
+        this.refill(bucket);
+
+        while (bucket.queue.length > 0 && bucket.tokens >= 1) {
+            const waiter = bucket.queue.shift();
+            bucket.tokens--;
+            if (waiter.onAbort) {
+                waiter.signal.removeEventListener('abort', waiter.onAbort);
+            }
+            waiter.resolve();
+        }
+
+        clearTimeout(bucket.timer);
+        bucket.timer = null;
+        if (bucket.queue.length === 0) {
+            return;
+        }
+
+        const wait = bucket.resetAt
+            ? bucket.resetAt - Date.now()
+            : bucket.rate > 0 ? (1 - bucket.tokens) / bucket.rate : 1000; // No refill rate known - poll
+        bucket.timer = setTimeout(() => this.drain(bucket), Math.max(wait, 0));
+    }
+}
+
+// -> { limit, remaining, reset (ms from now), window (ms) }, null fields when absent; null without any header
+function parseRateLimitHeaders(headers) {
+    const read = (...names) => {
+        for (const name of names) {
+            const value = headers.get(name);
+            if (value !== null && value !== '') {
+                return value;
+            }
+        }
+        return null;
+    };
 
-        // Merge headers
-        const headers = {
-            ...this.defaultHeaders,
-            ...options.headers
+    let limit = read('X-RateLimit-Limit', 'RateLimit-Limit');
+    let remaining = read('X-RateLimit-Remaining', 'RateLimit-Remaining');
+    let reset = read('X-RateLimit-Reset', 'RateLimit-Reset');
+    let window = null;
+
+    // Combined IETF field: "limit=100, remaining=50, reset=30" or '"default";r=50;t=30'
+    const combined = read('RateLimit');
+    if (combined) {
+        const field = name => {
+            const match = new RegExp(`(?:^|[;,\\s])${name}=(\\d+)`).exec(combined);
+            return match ? match[1] : null;
         };
+        limit = limit ?? field('limit');
+        remaining = remaining ?? field('remaining') ?? field('r');
+        reset = reset ?? field('reset') ?? field('t');
+    }
 
-        try {
-            // Request interceptor
-            console.log(`📡 ${options.method || 'GET'} ${url}`);
-            const startTime = Date.now();
+    // "100;w=60" or '"default";q=100;w=60'
+    const policy = read('RateLimit-Policy', 'X-RateLimit-Policy');
+    if (policy) {
+        const quota = /(?:^|;)\s*(?:q=)?(\d+)/.exec(policy);
+        const seconds = /w=(\d+)/.exec(policy);
+        limit = limit ?? (quota ? quota[1] : null);
+        window = seconds ? Number(seconds[1]) * 1000 : null;
+    }
 
-            const response = await fetch(url, {
-                ...options,
-                headers
-            });
+    if (limit === null && remaining === null && reset === null) {
+        return null;
+    }
 
-            // Response interceptor
-            const duration = Date.now() - startTime;
-            console.log(`✅ Response in ${duration}ms`);
+    let resetMs = null;
+    if (reset !== null) {
+        const value = Number(reset);
+        // Large values are epoch seconds (GitHub, X-RateLimit-*), small ones delta seconds (IETF)
+        resetMs = value > 1e9 ? Math.max(0, value * 1000 - Date.now()) : value * 1000;
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
+    return {
+        limit: limit === null ? null : Number(limit),
+        remaining: remaining === null ? null : Number(remaining),
+        reset: resetMs,
+        window
+    };
+}
 
-            return await response.json();
-        } catch (error) {
-            console.error('API Error:', error);
-            throw error;
-        }
-    }
+// Usage
+// const limiter = new RateLimiter({
+//     rules: [
+//         { match: 'https://api.github.com/search', capacity: 30, interval: 60000 },
+//         { match: /^https:\/\/api\.github\.com/, capacity: 5000, interval: 3600000 }
+//     ],
+//     default: { capacity: 10, interval: 1000 }
+// });
+// const githubApi = new APIService('https://api.github.com', { rateLimiter: limiter });
+// await Promise.all(repos.map(repo => githubApi.get(`/repos/${repo}`))); // Paced, never a burst of 429s
+// limiter.budget('https://api.github.com/repos/x'); // { limit: 5000, remaining: 4871, resetAt: Date, queued: 0 }
+// await limiter.run(url, () => fetch(url)); // Without APIService
 
-    get(endpoint, options) {
-        return this.request(endpoint, { ...options, method: 'GET' });
+
+// ═══════════════════════════════════════════════════════════════════
+// 13. TESTING HELPERS
+// ═══════════════════════════════════════════════════════════════════
+
+// Fake fetch server for offline tests - returns real Response objects, so everything
+// built on top (readJSON, HttpError.fromResponse, RequestCache revalidation...) works unchanged.
+// Handlers get { method, url, path, params, query, headers, body, signal } and return either a
+// Response or a spec: { status, statusText, headers, body, delay, networkError, hang }
+//   - body: plain objects/arrays are sent as JSON, anything else goes to new Response() as-is
+//   - networkError: reject like a dropped connection (TypeError, as real fetch does)
+//   - hang: never answer - pair with AbortSignal.timeout() to simulate timeouts
+class FakeServer {
+    constructor(options = {}) {
+        this.baseURL = options.baseURL || 'http://localhost';
+        this.delay = options.delay || 0;            // Default latency for every route
+        this.passthrough = options.passthrough || null; // fetch to use for unmatched requests (otherwise 404)
+        this.routes = [];
+        this.calls = [];
+        this.originalFetch = null;
+        this.fetch = this.fetch.bind(this); // Safe to hand around as a plain function
     }
 
-    post(endpoint, data, options) {
-        return this.request(endpoint, {
-            ...options,
-            method: 'POST',
-            body: JSON.stringify(data)
+    // path: '/users/:id', '/files/*' or a RegExp (named groups become params).
+    // { times } limits how often the route answers - e.g. a 503 once, then the normal route.
+    route(method, path, handler, { times = Infinity } = {}) {
+        this.routes.push({
+            method: method.toUpperCase(),
+            matcher: typeof path === 'string' ? compileRoutePattern(path) : path,
+            handler: typeof handler === 'function' ? handler : () => handler,
+            remaining: times
         });
+        return this;
     }
 
-    put(endpoint, data, options) {
-        return this.request(endpoint, {
-            ...options,
-            method: 'PUT',
-            body: JSON.stringify(data)
-        });
+    get(path, handler, options) { return this.route('GET', path, handler, options); }
+    post(path, handler, options) { return this.route('POST', path, handler, options); }
+    put(path, handler, options) { return this.route('PUT', path, handler, options); }
+    patch(path, handler, options) { return this.route('PATCH', path, handler, options); }
+    delete(path, handler, options) { return this.route('DELETE', path, handler, options); }
+    any(path, handler, options) { return this.route('*', path, handler, options); }
+
+    async fetch(input, init = {}) {
+        const isRequest = input instanceof Request;
+        const url = new URL(isRequest ? input.url : input, this.baseURL);
+        const request = isRequest ? new Request(input, init) : new Request(url, init);
+        const signal = init.signal || (isRequest ? input.signal : null);
+        const text = ['GET', 'HEAD'].includes(request.method) ? '' : await request.text();
+
+        const call = {
+            method: request.method,
+            url: url.href,
+            path: url.pathname,
+            params: {},
+            query: Object.fromEntries(url.searchParams),
+            headers: request.headers,
+            body: parseFakeBody(text, request.headers.get('Content-Type')),
+            signal,
+            timestamp: Date.now()
+        };
+        this.calls.push(call);
+
+        throwIfAborted(signal);
+
+        const route = this.match(call);
+        if (!route) {
+            if (this.passthrough) {
+                return this.passthrough(input, init);
+            }
+            await sleepOrAbort(this.delay, signal);
+            return new Response(JSON.stringify({ message: `No route for ${call.method} ${call.path}` }), {
+                status: 404,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        const result = await route.handler(call);
+        if (result instanceof Response) {
+            await sleepOrAbort(this.delay, signal);
+            return result;
+        }
+
+        const spec = result || {};
+        await sleepOrAbort(spec.delay ?? this.delay, signal);
+
+        if (spec.networkError) {
+            throw new TypeError('Failed to fetch');
+        }
+        if (spec.hang) {
+            await sleepOrAbort(Infinity, signal);
+        }
+
+        return buildFakeResponse(spec, url.href);
     }
 
-    patch(endpoint, data, options) {
-        return this.request(endpoint, {
-            ...options,
-            method: 'PATCH',
-            body: JSON.stringify(data)
-        });
+    match(call) {
+        for (const route of this.routes) {
+            if (route.remaining <= 0 || (route.method !== '*' && route.method !== call.method)) {
+                continue;
+            }
+            const result = route.matcher.exec(call.path);
+            if (result) {
+                route.remaining--;
+                call.params = { ...result.groups };
+                return route;
+            }
+        }
+        return null;
     }
 
-    delete(endpoint, options) {
-        return this.request(endpoint, { ...options, method: 'DELETE' });
+    // Assertions helpers
+    callsTo(method, path) {
+        const matcher = compileRoutePattern(path);
+        return this.calls.filter(call => call.method === method.toUpperCase() && matcher.test(call.path));
     }
-}
 
-// Usage
-const api = new APIService('https://jsonplaceholder.typicode.com');
-// const users = await api.get('/users');
-// const newPost = await api.post('/posts', { title: 'New Post', body: 'Content' });
+    lastCall() {
+        return this.calls[this.calls.length - 1];
+    }
 
+    // Replace the global fetch (or fetch on any object) until restore()
+    install(target = globalThis) {
+        if (!this.originalFetch) {
+            this.target = target;
+            this.originalFetch = target.fetch;
+            target.fetch = this.fetch;
+        }
+        return () => this.restore();
+    }
 
-// Example 3: Search with Debouncing
-class SearchService {
-    constructor() {
-        this.cancelRequest = new CancellableRequest();
-        this.debounceTimer = null;
+    restore() {
+        if (this.originalFetch) {
+            this.target.fetch = this.originalFetch;
+            this.originalFetch = null;
+        }
     }
 
-    debounce(func, delay) {
-        return (...args) => {
-            clearTimeout(this.debounceTimer);
-            this.debounceTimer = setTimeout(() => func(...args), delay);
-        };
+    reset() {
+        this.routes = [];
+        this.calls = [];
     }
+}
 
-    async search(query) {
-        if (!query || query.length < 2) {
-            return [];
+// '/users/:id/*' -> /^\/users\/(?<id>[^/]+)\/(?<wildcard>.*)$/
+function compileRoutePattern(path) {
+    const source = path
+        .split('/')
+        .map(segment => {
+            if (segment === '*') return '(?<wildcard>.*)';
+            if (segment.startsWith(':')) return `(?<${segment.slice(1)}>[^/]+)`;
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+    return new RegExp(`^${source}/?$`);
+}
+
+function parseFakeBody(text, contentType) {
+    if (!text) {
+        return null;
+    }
+    if (contentType && contentType.includes('json')) {
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
         }
+    }
+    return text;
+}
 
-        const results = await this.cancelRequest.fetch(
-            `https://jsonplaceholder.typicode.com/users?q=${encodeURIComponent(query)}`
-        );
+function buildFakeResponse({ status = 200, statusText = '', headers = {}, body = null }, url) {
+    const responseHeaders = new Headers(headers);
+    let payload = body;
 
-        return results || [];
+    const isPlain = body !== null && typeof body === 'object' &&
+        (Array.isArray(body) || Object.getPrototypeOf(body) === Object.prototype);
+    if (isPlain) {
+        payload = JSON.stringify(body);
+        if (!responseHeaders.has('Content-Type')) {
+            responseHeaders.set('Content-Type', 'application/json');
+        }
     }
 
-    debouncedSearch = this.debounce(async (query, callback) => {
-        const results = await this.search(query);
-        callback(results);
-    }, 300);
-}
+    // 204/304 must not have a body or the Response constructor throws
+    if ([101, 204, 205, 304].includes(status)) {
+        payload = null;
+    }
 
-// Usage: searchService.debouncedSearch('john', (results) => console.log(results));
+    const response = new Response(payload, { status, statusText, headers: responseHeaders });
+    Object.defineProperty(response, 'url', { value: url }); // Real responses know where they came from
+    return response;
+}
 
+// Like real fetch: reject with the signal's reason (AbortError, or TimeoutError for AbortSignal.timeout)
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw signal.reason ?? new DOMException('This operation was aborted', 'AbortError');
+    }
+}
 
-// Example 4: File Upload with Progress
-async function uploadFileWithProgress(file) {
+function sleepOrAbort(ms, signal) {
     return new Promise((resolve, reject) => {
-        const xhr = new XMLHttpRequest();
-
-        // Progress tracking
-        xhr.upload.addEventListener('progress', (e) => {
-            if (e.lengthComputable) {
-                const percent = (e.loaded / e.total) * 100;
-                console.log(`Upload: ${percent.toFixed(2)}%`);
-                // Update progress bar: updateProgressBar(percent);
-            }
-        });
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason ?? new DOMException('This operation was aborted', 'AbortError'));
+        };
+        // Infinity still gets a real (max-length) timer so Node stays alive, like an open socket would
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, Math.min(ms, 2 ** 31 - 1));
+
+        if (signal) {
+            if (signal.aborted) return onAbort();
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
 
-        // Complete
-        xhr.addEventListener('load', () => {
-            if (xhr.status === 200) {
-                resolve(JSON.parse(xhr.responseText));
-            } else {
-                reject(new Error(`Upload failed: ${xhr.status}`));
-            }
-        });
+// Usage
+// const server = new FakeServer({ delay: 10 });
+// server
+//     .get('/users/:id', ({ params }) => ({ body: { id: Number(params.id), name: 'Ada' } }))
+//     .get('/flaky', { status: 503, headers: { 'Retry-After': '0' } }, { times: 1 })
+//     .get('/flaky', { body: { ok: true } })
+//     .get('/slow', { hang: true })
+//     .post('/offline', { networkError: true });
+// const restore = server.install();
+// await fetchWithRetry('/flaky');                    // 503, then 200
+// server.callsTo('GET', '/flaky').length;            // 2
+// restore();
+
+// Fetch interceptor for testing/debugging - wraps fetch on globalThis (window or Node)
+// and returns a restore function. Without hooks it just logs, like before.
+// Hooks get a context { input, init, method, url, startedAt } that they may annotate.
+function interceptFetch({ target = globalThis, onRequest, onResponse, onError } = {}) {
+    const originalFetch = target.fetch;
+    const log = !onRequest && !onResponse && !onError;
+
+    target.fetch = async (input, init = {}) => {
+        const context = {
+            input,
+            init,
+            method: (init.method || (input instanceof Request ? input.method : 'GET')).toUpperCase(),
+            url: input instanceof Request ? input.url : String(input),
+            startedAt: Date.now()
+        };
 
-        // Error
-        xhr.addEventListener('error', () => {
-            reject(new Error('Upload failed'));
-        });
+        if (log) console.log('🔍 Intercepted fetch:', context.url);
+        if (onRequest) onRequest(context);
 
-        // Prepare and send
-        const formData = new FormData();
-        formData.append('file', file);
+        try {
+            const response = await originalFetch.call(target, input, init);
+            if (log) console.log('📥 Response status:', response.status);
+            if (onResponse) onResponse(response, context);
+            return response;
+        } catch (error) {
+            if (onError) onError(error, context);
+            throw error;
+        }
+    };
 
-        xhr.open('POST', 'https://example.com/upload');
-        xhr.send(formData);
-    });
+    return () => {
+        target.fetch = originalFetch;
+    };
 }
 
+const HAR_REDACTED = '[REDACTED]';
+const DEFAULT_REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'];
 
-// Example 5: Pagination Handler
-class PaginationService {
-    constructor(baseURL) {
-        this.baseURL = baseURL;
-        this.currentPage = 1;
-        this.pageSize = 10;
-    }
+// Bodies we can store as HAR text; everything else is base64
+function isTextMimeType(mimeType) {
+    return /^text\/|json|xml|javascript|x-www-form-urlencoded/i.test(mimeType || '');
+}
 
-    async getPage(page = this.currentPage) {
-        const response = await fetch(
-            `${this.baseURL}?_page=${page}&_limit=${this.pageSize}`
-        );
+function headersToHAR(headers) {
+    const list = [];
+    new Headers(headers).forEach((value, name) => list.push({ name, value }));
+    return list;
+}
 
-        const data = await response.json();
-        const totalCount = response.headers.get('X-Total-Count');
+// init.body -> text without consuming anything the real request still needs
+async function readRequestBody(body) {
+    if (body === undefined || body === null) {
+        return null;
+    }
+    if (typeof body === 'string' || body instanceof URLSearchParams) {
+        return String(body);
+    }
+    if (typeof ReadableStream !== 'undefined' && body instanceof ReadableStream) {
+        return null; // Can only be read once - leave it to the real request
+    }
+    return new Response(body).text(); // Blob, FormData, ArrayBuffer, typed arrays
+}
 
-        return {
-            data,
-            page,
-            pageSize: this.pageSize,
-            totalPages: Math.ceil(totalCount / this.pageSize),
-            totalCount: parseInt(totalCount)
-        };
+// Records every fetch as a HAR 1.2 entry (timings, headers, bodies).
+// Save the export as .har and open it in browser devtools, or feed it to HarReplayer.
+class HarRecorder {
+    constructor(options = {}) {
+        this.redact = (options.redact || DEFAULT_REDACTED_HEADERS).map(name => name.toLowerCase());
+        this.creator = options.creator || { name: 'ajax-complete-guide', version: '1.0' };
+        this.entries = [];
+        this.pending = new Set();
+        this.restoreFetch = null;
     }
 
-    async nextPage() {
-        this.currentPage++;
-        return await this.getPage();
+    start(target = globalThis) {
+        if (this.restoreFetch) {
+            return this;
+        }
+
+        this.restoreFetch = interceptFetch({
+            target,
+            onRequest: context => {
+                context.requestBody = readRequestBody(context.init.body || null);
+            },
+            onResponse: (response, context) => {
+                // capture() never reads an event stream's body, so it needs no clone (whose tee
+                // would buffer everything the caller reads, and outlive it on Node 18)
+                const isStream = (response.headers.get('Content-Type') || '').includes('text/event-stream');
+                this.track(this.capture(isStream ? response : response.clone(), context, Date.now()));
+            },
+            onError: (error, context) => this.track(this.capture(null, context, Date.now(), error))
+        });
+        return this;
     }
 
-    async prevPage() {
-        if (this.currentPage > 1) {
-            this.currentPage--;
-            return await this.getPage();
+    stop() {
+        if (this.restoreFetch) {
+            this.restoreFetch();
+            this.restoreFetch = null;
         }
+        return this;
     }
 
-    async goToPage(page) {
-        this.currentPage = page;
-        return await this.getPage();
+    track(promise) {
+        this.pending.add(promise);
+        promise.finally(() => this.pending.delete(promise));
     }
-}
 
+    async capture(response, context, headersAt, error) {
+        const requestHeaders = new Headers(context.init.headers || (context.input instanceof Request ? context.input.headers : undefined));
+        const url = new URL(context.url, 'http://localhost');
+        const requestText = await context.requestBody;
+
+        const entry = {
+            startedDateTime: new Date(context.startedAt).toISOString(),
+            time: 0,
+            request: {
+                method: context.method,
+                url: context.url,
+                httpVersion: 'HTTP/1.1',
+                cookies: [],
+                headers: headersToHAR(requestHeaders),
+                queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+                headersSize: -1,
+                bodySize: requestText === null ? 0 : requestText.length
+            },
+            response: {
+                status: 0,
+                statusText: '',
+                httpVersion: 'HTTP/1.1',
+                cookies: [],
+                headers: [],
+                content: { size: 0, mimeType: '' },
+                redirectURL: '',
+                headersSize: -1,
+                bodySize: -1
+            },
+            cache: {},
+            timings: { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: headersAt - context.startedAt, receive: 0 }
+        };
 
-// Example 6: WebSocket Alternative - Long Polling
-class LongPolling {
-    constructor(url) {
-        this.url = url;
-        this.isPolling = false;
-    }
+        if (requestText !== null) {
+            entry.request.postData = { mimeType: requestHeaders.get('Content-Type') || '', text: requestText };
+        }
 
-    async start(callback) {
-        this.isPolling = true;
+        if (error) {
+            entry._error = error.message; // Custom fields must start with "_" in HAR
+            entry.time = entry.timings.wait;
+            this.entries.push(entry);
+            return;
+        }
 
-        while (this.isPolling) {
-            try {
-                const response = await fetch(this.url, {
-                    method: 'GET',
-                    headers: {
-                        'Cache-Control': 'no-cache'
-                    }
-                });
+        const mimeType = response.headers.get('Content-Type') || '';
+        const content = { size: 0, mimeType };
 
-                if (response.ok) {
-                    const data = await response.json();
-                    callback(data);
+        // An event stream never ends, so waiting for its body would never record the entry
+        if (response.body && !mimeType.includes('text/event-stream')) {
+            try {
+                if (isTextMimeType(mimeType)) {
+                    content.text = await response.text();
+                    content.size = new TextEncoder().encode(content.text).length;
+                } else {
+                    const bytes = new Uint8Array(await response.arrayBuffer());
+                    content.text = bytesToBase64(bytes);
+                    content.encoding = 'base64';
+                    content.size = bytes.length;
                 }
-            } catch (error) {
-                console.error('Polling error:', error);
-                // Wait before retrying
-                await new Promise(resolve => setTimeout(resolve, 5000));
+            } catch (readError) {
+                entry._error = readError.message; // e.g. aborted mid-body
             }
         }
-    }
 
-    stop() {
-        this.isPolling = false;
+        Object.assign(entry.response, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: headersToHAR(response.headers),
+            content,
+            redirectURL: response.headers.get('Location') || '',
+            bodySize: content.size
+        });
+        entry.timings.receive = Date.now() - headersAt;
+        entry.time = entry.timings.wait + entry.timings.receive;
+        this.entries.push(entry);
     }
-}
 
+    // Waits for in-flight bodies, then returns a HAR 1.2 document with secrets redacted
+    async toHAR() {
+        await Promise.all([...this.pending]);
 
-// ═══════════════════════════════════════════════════════════════════
-// 12. PERFORMANCE OPTIMIZATION
-// ═══════════════════════════════════════════════════════════════════
+        const redactHeaders = headers => headers.map(header => (
+            this.redact.includes(header.name.toLowerCase()) ? { ...header, value: HAR_REDACTED } : header
+        ));
 
-// Request batching
-class RequestBatcher {
-    constructor(batchDelay = 50) {
-        this.queue = [];
-        this.batchDelay = batchDelay;
-        this.timer = null;
+        return {
+            log: {
+                version: '1.2',
+                creator: this.creator,
+                entries: this.entries
+                    .slice()
+                    .sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime))
+                    .map(entry => ({
+                        ...entry,
+                        request: { ...entry.request, headers: redactHeaders(entry.request.headers) },
+                        response: { ...entry.response, headers: redactHeaders(entry.response.headers) }
+                    }))
+            }
+        };
     }
 
-    add(request) {
-        return new Promise((resolve, reject) => {
-            this.queue.push({ request, resolve, reject });
-
-            if (!this.timer) {
-                this.timer = setTimeout(() => this.flush(), this.batchDelay);
-            }
-        });
+    clear() {
+        this.entries = [];
     }
+}
 
-    async flush() {
-        const batch = this.queue.splice(0);
-        this.timer = null;
+// Serves recorded HAR entries back through fetch - deterministic offline fixtures.
+// Matching is by method + full URL by default; loosen it with:
+//   ignoreQuery, ignoreOrigin, matchBody, matchHeaders: ['accept'], or match(entry, call) for full control
+// Identical requests are answered in recorded order (the last one repeats).
+class HarReplayer {
+    constructor(har, options = {}) {
+        this.entries = (har.log ? har.log.entries : har).filter(entry => !entry._error && entry.response.status);
+        this.ignoreQuery = options.ignoreQuery || false;
+        this.ignoreOrigin = options.ignoreOrigin || false;
+        this.matchBody = options.matchBody || false;
+        this.matchHeaders = (options.matchHeaders || []).map(name => name.toLowerCase());
+        this.customMatch = options.match || null;
+        this.realTiming = options.realTiming || false; // Wait entry.time before answering
+        this.fallback = options.fallback || null;      // fetch for unmatched requests (otherwise reject)
+        this.used = new Set();
+        this.originalFetch = null;
+        this.fetch = this.fetch.bind(this);
+    }
 
-        if (batch.length === 0) return;
+    async fetch(input, init = {}) {
+        const request = input instanceof Request ? input : null;
+        const call = {
+            method: (init.method || (request ? request.method : 'GET')).toUpperCase(),
+            url: request ? request.url : String(input),
+            headers: new Headers(init.headers || (request ? request.headers : undefined)),
+            body: await readRequestBody(init.body || null)
+        };
+        const signal = init.signal || (request ? request.signal : null);
+        throwIfAborted(signal);
 
-        try {
-            // Send batched request
-            const requests = batch.map(b => b.request);
-            const response = await fetch('https://api.example.com/batch', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ requests })
-            });
+        const entry = this.find(call);
+        if (!entry) {
+            if (this.fallback) {
+                return this.fallback(input, init);
+            }
+            throw new TypeError(`No recorded HAR entry for ${call.method} ${call.url}`);
+        }
 
-            const results = await response.json();
+        await sleepOrAbort(this.realTiming ? entry.time : 0, signal);
 
-            // Resolve individual promises
-            batch.forEach((item, index) => {
-                item.resolve(results[index]);
-            });
-        } catch (error) {
-            batch.forEach(item => item.reject(error));
+        const { content } = entry.response;
+        let body = content.text === undefined ? null : content.text;
+        if (body !== null && content.encoding === 'base64') {
+            body = base64ToBytes(body);
         }
-    }
-}
 
+        // The recorded body is already decoded, so its encoding/length headers no longer apply
+        const headers = entry.response.headers
+            .filter(({ name }) => !['content-encoding', 'content-length', 'transfer-encoding'].includes(name.toLowerCase()))
+            .map(({ name, value }) => [name, value]);
+
+        return buildFakeResponse({
+            status: entry.response.status,
+            statusText: entry.response.statusText,
+            headers,
+            body
+        }, entry.request.url);
+    }
 
-// ═══════════════════════════════════════════════════════════════════
-// 13. TESTING HELPERS
-// ═══════════════════════════════════════════════════════════════════
+    find(call) {
+        const candidates = this.entries.filter(entry => this.matches(entry, call));
+        const entry = candidates.find(candidate => !this.used.has(candidate)) || candidates[candidates.length - 1];
+        if (entry) {
+            this.used.add(entry);
+        }
+        return entry || null;
+    }
 
-// Mock fetch for testing
-function mockFetch(data, delay = 100) {
-    return new Promise((resolve) => {
-        setTimeout(() => {
-            resolve({
-                ok: true,
-                status: 200,
-                json: async () => data,
-                text: async () => JSON.stringify(data)
-            });
-        }, delay);
-    });
-}
+    matches(entry, call) {
+        if (this.customMatch) {
+            return this.customMatch(entry, call);
+        }
+        if (entry.request.method !== call.method) {
+            return false;
+        }
+        if (this.normalizeURL(entry.request.url) !== this.normalizeURL(call.url)) {
+            return false;
+        }
+        if (this.matchBody) {
+            const recorded = entry.request.postData ? entry.request.postData.text : null;
+            if (recorded !== call.body) {
+                return false;
+            }
+        }
+        return this.matchHeaders.every(name => {
+            const recorded = entry.request.headers.find(header => header.name.toLowerCase() === name);
+            return (recorded ? recorded.value : null) === call.headers.get(name);
+        });
+    }
 
-// Fetch interceptor for testing/debugging
-function interceptFetch() {
-    const originalFetch = window.fetch;
+    normalizeURL(value) {
+        const url = new URL(value, 'http://localhost');
+        if (this.ignoreQuery) {
+            url.search = '';
+        } else {
+            url.searchParams.sort(); // ?a=1&b=2 and ?b=2&a=1 are the same request
+        }
+        return this.ignoreOrigin ? url.pathname + url.search : url.href;
+    }
 
-    window.fetch = async (...args) => {
-        console.log('🔍 Intercepted fetch:', args[0]);
-        const response = await originalFetch(...args);
-        console.log('📥 Response status:', response.status);
-        return response;
-    };
+    install(target = globalThis) {
+        if (!this.originalFetch) {
+            this.target = target;
+            this.originalFetch = target.fetch;
+            target.fetch = this.fetch;
+        }
+        return () => this.restore();
+    }
 
-    // Restore: window.fetch = originalFetch;
+    restore() {
+        if (this.originalFetch) {
+            this.target.fetch = this.originalFetch;
+            this.originalFetch = null;
+        }
+    }
 }
 
+// Usage
+// const recorder = new HarRecorder().start();
+// await reproduceCustomerBug();
+// recorder.stop();
+// fs.writeFileSync('bug-1234.har', JSON.stringify(await recorder.toHAR(), null, 2)); // Authorization redacted
+//
+// const replayer = new HarReplayer(JSON.parse(fs.readFileSync('bug-1234.har', 'utf8')), { ignoreOrigin: true });
+// const restore = replayer.install();
+// await reproduceCustomerBug(); // Same responses, no network
+// restore();
+
 
 // ═══════════════════════════════════════════════════════════════════
 // QUICK REFERENCE: WHEN TO USE WHAT
@@ -1123,14 +5934,62 @@ function interceptFetch() {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         APIService,
+        InterceptorManager,
         AuthService,
+        MemoryTokenStorage,
+        WebTokenStorage,
+        CookieSessionStorage,
         SearchService,
         PaginationService,
+        LongPolling,
+        SSEClient,
+        WebSocketClient,
+        WebSocketRequestError,
+        RequestBatcher,
+        BatchItemError,
+        batchEncoders,
+        GraphQLClient,
+        GraphQLError,
+        RequestScheduler,
+        Priority,
+        RateLimiter,
+        PageStrategy,
+        OffsetStrategy,
+        CursorStrategy,
+        LinkHeaderStrategy,
+        InfiniteScroll,
+        uploadFileWithProgress,
+        ResumableUpload,
+        StreamingDownload,
+        MutationOutbox,
         RequestCache,
+        MemoryStorage,
+        WebStorage,
+        IndexedDBStorage,
+        FileStorage,
+        richSerializer,
         CancellableRequest,
         fetchWithRetry,
-        fetchWithTimeout
+        fetchWithTimeout,
+        readJSON,
+        RetryPolicy,
+        CircuitBreaker,
+        CircuitState,
+        CircuitOpenError,
+        Emitter,
+        HttpError,
+        NetworkError,
+        TimeoutError,
+        AbortError,
+        ParseError,
+        ClientError,
+        ServerError,
+        ValidationError,
+        validateSchema,
+        reviveDates,
+        FakeServer,
+        interceptFetch,
+        HarRecorder,
+        HarReplayer
     };
 }
-
-console.log('✅ AJAX Complete Guide Loaded! Open console and try the functions.');
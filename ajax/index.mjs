@@ -0,0 +1,66 @@
+// ESM entry point for Node (SSR, CLI tools): `import { APIService } from './ajax/index.mjs'`
+// The guide itself stays a plain script/CommonJS file so it still works with a <script> tag.
+import guide from './ajax-complete-guide.js';
+
+export const {
+    APIService,
+    InterceptorManager,
+    AuthService,
+    MemoryTokenStorage,
+    WebTokenStorage,
+    CookieSessionStorage,
+    SearchService,
+    PaginationService,
+    LongPolling,
+    SSEClient,
+    WebSocketClient,
+    WebSocketRequestError,
+    RequestBatcher,
+    BatchItemError,
+    batchEncoders,
+    GraphQLClient,
+    GraphQLError,
+    RequestScheduler,
+    Priority,
+    RateLimiter,
+    PageStrategy,
+    OffsetStrategy,
+    CursorStrategy,
+    LinkHeaderStrategy,
+    InfiniteScroll,
+    uploadFileWithProgress,
+    ResumableUpload,
+    StreamingDownload,
+    MutationOutbox,
+    RequestCache,
+    MemoryStorage,
+    WebStorage,
+    IndexedDBStorage,
+    FileStorage,
+    richSerializer,
+    CancellableRequest,
+    fetchWithRetry,
+    fetchWithTimeout,
+    readJSON,
+    RetryPolicy,
+    CircuitBreaker,
+    CircuitState,
+    CircuitOpenError,
+    Emitter,
+    HttpError,
+    NetworkError,
+    TimeoutError,
+    AbortError,
+    ParseError,
+    ClientError,
+    ServerError,
+    ValidationError,
+    validateSchema,
+    reviveDates,
+    FakeServer,
+    interceptFetch,
+    HarRecorder,
+    HarReplayer
+} = guide;
+
+export default guide;
@@ -0,0 +1,192 @@
+// AuthService refresh flow. Run with: node --test ajax/tests/*.test.js
+
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    AuthService,
+    MemoryTokenStorage,
+    WebTokenStorage,
+    CookieSessionStorage,
+    FakeServer,
+    ClientError,
+    NetworkError,
+    ServerError
+} = require('../ajax-complete-guide.js');
+
+const BASE = 'https://api.test';
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+// A localStorage both "tabs" share
+function sharedStorage() {
+    const items = new Map();
+    return new WebTokenStorage({
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    });
+}
+
+// A server that rotates refresh tokens: each one works once
+function rotatingServer() {
+    const server = new FakeServer({ baseURL: BASE });
+    let current = 1;
+    server.post('/auth/refresh', ({ body }) => {
+        if (body.refreshToken !== `refresh-${current}`) {
+            return { status: 401, delay: 20 };
+        }
+        current++;
+        return { body: { token: `token-${current}`, refreshToken: `refresh-${current}` }, delay: 5 };
+    });
+    return server;
+}
+
+const jwt = payload => `h.${Buffer.from(JSON.stringify(payload)).toString('base64url')}.s`;
+
+describe('AuthService refresh', () => {
+    function setup() {
+        const server = new FakeServer({ baseURL: BASE });
+        const state = { token: 'fresh', refreshes: 0 };
+        server.get('/me', ({ headers }) => (headers.get('Authorization') === `Bearer ${state.token}`
+            ? { body: { name: 'Ada' } }
+            : { status: 401 }));
+
+        const storage = new MemoryTokenStorage();
+        storage.save({ token: 'expired', refreshToken: 'refresh-1' });
+        const auth = new AuthService({ baseURL: BASE, fetch: server.fetch, storage, syncTabs: false });
+        return { server, state, auth };
+    }
+
+    it('refreshes once for concurrent 401s and replays each request', async () => {
+        const { server, state, auth } = setup();
+        server.post('/auth/refresh', () => {
+            state.refreshes++;
+            return { body: { token: state.token }, delay: 10 };
+        });
+
+        const results = await Promise.all([auth.fetchProtected('/me'), auth.fetchProtected('/me'), auth.fetchProtected('/me')]);
+
+        assert.deepEqual(results, [{ name: 'Ada' }, { name: 'Ada' }, { name: 'Ada' }]);
+        assert.equal(state.refreshes, 1);
+        assert.deepEqual(server.callsTo('POST', '/auth/refresh')[0].body, { refreshToken: 'refresh-1' });
+        assert.equal(auth.token, 'fresh');
+    });
+
+    it('logs out when the refresh is rejected', async () => {
+        const { server, auth } = setup();
+        server.post('/auth/refresh', { status: 401 });
+        const logouts = [];
+        auth.on('logout', ({ reason }) => logouts.push(reason));
+
+        await assert.rejects(auth.fetchProtected('/me'), ClientError);
+        assert.deepEqual(logouts, ['refresh-failed']);
+        assert.equal(auth.isAuthenticated, false);
+        assert.equal(server.callsTo('GET', '/me').length, 1);
+    });
+
+    it('keeps the session when the refresh fails in transit', async () => {
+        const { server, state, auth } = setup();
+        server.post('/auth/refresh', { networkError: true }, { times: 1 });
+        server.post('/auth/refresh', { status: 503 }, { times: 1 });
+        server.post('/auth/refresh', () => ({ body: { token: state.token } }));
+        const logouts = [];
+        auth.on('logout', ({ reason }) => logouts.push(reason));
+
+        await assert.rejects(auth.fetchProtected('/me'), NetworkError);
+        await assert.rejects(auth.fetchProtected('/me'), ServerError);
+        assert.deepEqual(logouts, []);
+        assert.equal(auth.isAuthenticated, true);
+        assert.equal(auth.refreshToken, 'refresh-1');
+
+        assert.deepEqual(await auth.fetchProtected('/me'), { name: 'Ada' });
+    });
+
+    it('retries a failed proactive refresh after refreshRetryDelay', async () => {
+        const server = new FakeServer({ baseURL: BASE })
+            .post('/auth/refresh', { status: 502 }, { times: 1 })
+            .post('/auth/refresh', { body: { token: 'next' } });
+        const storage = new MemoryTokenStorage();
+        storage.save({ token: jwt({ exp: Math.floor(Date.now() / 1000) + 30 }), refreshToken: 'refresh-1' });
+        const auth = new AuthService({
+            baseURL: BASE,
+            fetch: server.fetch,
+            storage,
+            syncTabs: false,
+            refreshBeforeExpiry: 60000, // Due at once
+            refreshRetryDelay: 10
+        });
+        mock.method(console, 'warn', () => {});
+
+        await wait(40);
+        assert.equal(server.calls.length, 2);
+        assert.equal(auth.token, 'next');
+        auth.destroy();
+    });
+});
+
+describe('AuthService across tabs', () => {
+    it('uses the winning tab\'s tokens instead of logging out after losing a rotation race', async () => {
+        const server = rotatingServer();
+        const storage = sharedStorage();
+        storage.save({ token: 'token-1', refreshToken: 'refresh-1' });
+        const tabs = [1, 2].map(() => new AuthService({ baseURL: BASE, fetch: server.fetch, storage, syncTabs: false }));
+        const logouts = [];
+        tabs.forEach(tab => tab.on('logout', () => logouts.push(tab)));
+
+        assert.deepEqual(await Promise.all(tabs.map(tab => tab.refresh())), ['token-2', 'token-2']);
+        assert.deepEqual(logouts, []);
+        assert.ok(tabs.every(tab => tab.refreshToken === 'refresh-2'));
+    });
+
+    it('takes turns on a Web Lock so only one tab refreshes', async (t) => {
+        let tail = Promise.resolve();
+        const locks = {
+            request(name, task) {
+                const run = tail.then(() => task());
+                tail = run.catch(() => {});
+                return run;
+            }
+        };
+        const original = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+        Object.defineProperty(globalThis, 'navigator', { value: { locks }, configurable: true, writable: true });
+        t.after(() => {
+            delete globalThis.navigator;
+            if (original) {
+                Object.defineProperty(globalThis, 'navigator', original);
+            }
+        });
+
+        const server = rotatingServer();
+        const storage = sharedStorage();
+        storage.save({ token: 'token-1', refreshToken: 'refresh-1' });
+        const tabs = [1, 2].map(() => new AuthService({
+            baseURL: BASE,
+            fetch: server.fetch,
+            storage,
+            syncTabs: true,
+            channelName: 'auth-locks-test'
+        }));
+
+        assert.deepEqual(await Promise.all(tabs.map(tab => tab.refresh())), ['token-2', 'token-2']);
+        assert.equal(server.calls.length, 1);
+        tabs.forEach(tab => tab.destroy());
+    });
+
+    it('counts a cookie session as live again after another tab logs in', async () => {
+        const server = new FakeServer({ baseURL: BASE })
+            .post('/auth/login', { body: { user: { name: 'Ada' } } })
+            .get('/me', { body: { name: 'Ada' } });
+        const options = { baseURL: BASE, fetch: server.fetch, syncTabs: true, channelName: 'auth-cookie-test' };
+        const here = new AuthService({ ...options, storage: new CookieSessionStorage() });
+        const there = new AuthService({ ...options, storage: new CookieSessionStorage() });
+
+        await there.logout();
+        await wait(10);
+        assert.equal(here.isAuthenticated, false);
+
+        await there.login('ada@example.com', 'secret');
+        await wait(10);
+        assert.equal(here.isAuthenticated, true);
+        assert.deepEqual(await here.fetchProtected('/me'), { name: 'Ada' });
+        [here, there].forEach(tab => tab.destroy());
+    });
+});
@@ -0,0 +1,106 @@
+// RequestCache and APIService cache invalidation. Run with: node --test ajax/tests/*.test.js
+
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { APIService, RequestCache, FakeServer } = require('../ajax-complete-guide.js');
+
+const BASE = 'https://api.test';
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+mock.method(console, 'log', () => {}); // The cache narrates every hit and miss
+
+function setup(options) {
+    const server = new FakeServer({ baseURL: BASE })
+        .get('/*', ({ path }) => ({ body: { path } }))
+        .post('/*', { status: 201, body: {} });
+    const cache = new RequestCache({ fetch: server.fetch, ...options });
+    return { server, cache };
+}
+
+describe('RequestCache invalidation', () => {
+    it('drops entries by tag', async () => {
+        const { server, cache } = setup();
+        await cache.fetch(`${BASE}/users`, { tags: ['users'] });
+        await cache.fetch(`${BASE}/posts`, { tags: ['posts'] });
+
+        assert.equal(await cache.invalidateTag('users'), 1);
+        await cache.fetch(`${BASE}/users`);
+        await cache.fetch(`${BASE}/posts`);
+        assert.equal(server.callsTo('GET', '/users').length, 2);
+        assert.equal(server.callsTo('GET', '/posts').length, 1);
+    });
+
+    it('keeps the tags when an untagged call refetches the entry', async () => {
+        const { cache } = setup({ ttl: 0 }); // Every fetch goes to the network
+        await cache.fetch(`${BASE}/users`, { tags: ['users'] });
+        await cache.fetch(`${BASE}/users`);
+
+        assert.equal(await cache.invalidateTag('users'), 1);
+    });
+
+    it('matches string prefixes on a path boundary only', async () => {
+        const { cache } = setup();
+        const urls = ['/users', '/users?page=2', '/users/1', '/users/1/posts', '/users/10', '/users-archive'];
+        for (const url of urls) {
+            await cache.fetch(`${BASE}${url}`);
+        }
+
+        assert.equal(await cache.invalidateMatching(`${BASE}/users/1`), 2);
+        assert.equal(await cache.invalidateMatching(`${BASE}/users`), 3);
+        assert.deepEqual([...cache.cache.values()].map(entry => entry.url), [`${BASE}/users-archive`]);
+    });
+
+    it('drops the mutated resource when APIService sends a mutation', async () => {
+        const { server, cache } = setup();
+        const api = new APIService(BASE, { fetch: server.fetch, cache });
+        await cache.fetch(`${BASE}/users/1`);
+        await cache.fetch(`${BASE}/users/10`);
+        await cache.fetch(`${BASE}/teams`, { tags: ['teams'] });
+
+        await api.post('/users/1', { name: 'Ada' }, { invalidates: ['teams'] });
+        assert.deepEqual([...cache.cache.values()].map(entry => entry.url), [`${BASE}/users/10`]);
+    });
+});
+
+describe('RequestCache freshness', () => {
+    it('evicts the least recently used entry', async () => {
+        const { server, cache } = setup({ maxEntries: 2 });
+        await cache.fetch(`${BASE}/a`);
+        await cache.fetch(`${BASE}/b`);
+        await cache.fetch(`${BASE}/a`); // a is now the most recent
+        await cache.fetch(`${BASE}/c`); // evicts b
+
+        await cache.fetch(`${BASE}/a`);
+        await cache.fetch(`${BASE}/b`);
+        assert.equal(server.callsTo('GET', '/a').length, 1);
+        assert.equal(server.callsTo('GET', '/b').length, 2);
+    });
+
+    it('serves stale data inside the SWR window and refreshes it in the background', async () => {
+        let version = 1;
+        const server = new FakeServer({ baseURL: BASE }).get('/config', () => ({ body: { version: version++ } }));
+        const cache = new RequestCache({ fetch: server.fetch, ttl: 50, staleWhileRevalidate: 1000 });
+
+        assert.deepEqual(await cache.fetch(`${BASE}/config`), { version: 1 });
+        await wait(60);
+        assert.deepEqual(await cache.fetch(`${BASE}/config`), { version: 1 }); // Stale, answered at once
+        await wait(10);
+        assert.deepEqual(await cache.fetch(`${BASE}/config`), { version: 2 });
+        assert.equal(server.calls.length, 2);
+    });
+
+    it('revalidates with If-None-Match and reuses the body on 304', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/users', ({ headers }) => (
+            headers.get('If-None-Match') === '"v1"'
+                ? { status: 304 }
+                : { body: [{ id: 1 }], headers: { ETag: '"v1"', 'Cache-Control': 'max-age=0' } }
+        ));
+        const cache = new RequestCache({ fetch: server.fetch });
+
+        assert.deepEqual(await cache.fetch(`${BASE}/users`), [{ id: 1 }]);
+        assert.deepEqual(await cache.fetch(`${BASE}/users`), [{ id: 1 }]);
+        assert.equal(server.lastCall().headers.get('If-None-Match'), '"v1"');
+        assert.equal(server.calls.length, 2);
+    });
+});
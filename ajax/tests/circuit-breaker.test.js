@@ -0,0 +1,62 @@
+// CircuitBreaker, alone and inside APIService. Run with: node --test ajax/tests/*.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    APIService,
+    CircuitBreaker,
+    CircuitState,
+    FakeServer,
+    ClientError,
+    ServerError,
+    CircuitOpenError
+} = require('../ajax-complete-guide.js');
+
+const BASE = 'https://api.test';
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('CircuitBreaker', () => {
+    it('counts only server-side failures', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1 });
+
+        await assert.rejects(breaker.execute(() => Promise.reject(new ClientError('nope', { status: 404 }))), ClientError);
+        assert.equal(breaker.state, CircuitState.CLOSED);
+
+        await assert.rejects(breaker.execute(() => Promise.reject(new ServerError('down', { status: 500 }))), ServerError);
+        assert.equal(breaker.state, CircuitState.OPEN);
+    });
+});
+
+describe('APIService circuit breaker', () => {
+    it('opens after the failure threshold and fails fast without calling the server', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/down', { status: 500 });
+        const api = new APIService(BASE, {
+            fetch: server.fetch,
+            circuitBreaker: { failureThreshold: 2, cooldown: 60000 }
+        });
+
+        await assert.rejects(api.get('/down'), ServerError);
+        await assert.rejects(api.get('/down'), ServerError);
+        await assert.rejects(api.get('/down'), CircuitOpenError);
+        assert.equal(server.calls.length, 2);
+        assert.equal(api.getCircuitBreaker(`${BASE}/down`).state, CircuitState.OPEN);
+    });
+
+    it('closes again once a probe succeeds after the cooldown', async () => {
+        const server = new FakeServer({ baseURL: BASE })
+            .get('/flaky', { status: 500 }, { times: 2 })
+            .get('/flaky', { body: { ok: true } });
+        const api = new APIService(BASE, {
+            fetch: server.fetch,
+            circuitBreaker: { failureThreshold: 2, cooldown: 20 }
+        });
+
+        await assert.rejects(api.get('/flaky'), ServerError);
+        await assert.rejects(api.get('/flaky'), ServerError);
+        await wait(30);
+
+        assert.deepEqual(await api.get('/flaky'), { ok: true });
+        assert.equal(api.getCircuitBreaker(`${BASE}/flaky`).state, CircuitState.CLOSED);
+    });
+});
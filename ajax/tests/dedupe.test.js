@@ -0,0 +1,94 @@
+// In-flight request deduplication in APIService. Run with: node --test ajax/tests/*.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { APIService, FakeServer, AbortError, TimeoutError } = require('../ajax-complete-guide.js');
+
+const BASE = 'https://api.test';
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('APIService dedupe', () => {
+    it('shares one request between concurrent identical GETs', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/users', { body: [1, 2], delay: 10 });
+        const api = new APIService(BASE, { fetch: server.fetch });
+
+        const [a, b] = await Promise.all([api.get('/users?page=1&size=2'), api.get('/users?size=2&page=1')]);
+        assert.deepEqual(a, [1, 2]);
+        assert.deepEqual(b, [1, 2]);
+        assert.equal(server.calls.length, 1);
+    });
+
+    it('keeps the shared request alive when one subscriber aborts', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/users', { body: [1], delay: 20 });
+        const api = new APIService(BASE, { fetch: server.fetch });
+        const controller = new AbortController();
+
+        const aborted = api.get('/users', { signal: controller.signal });
+        const kept = api.get('/users');
+        await wait(5); // Both subscribed to the same request
+        controller.abort();
+
+        await assert.rejects(aborted, AbortError);
+        assert.deepEqual(await kept, [1]);
+        assert.equal(server.calls.length, 1);
+    });
+
+    it('cancels the network request when the last subscriber aborts', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/slow', { hang: true });
+        const api = new APIService(BASE, { fetch: server.fetch });
+        const controller = new AbortController();
+
+        const request = api.get('/slow', { signal: controller.signal });
+        await wait(5);
+        controller.abort();
+
+        await assert.rejects(request, AbortError);
+        assert.equal(server.lastCall().signal.aborted, true);
+    });
+
+    it('reports a subscriber\'s AbortSignal.timeout() as a timeout', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/slow', { hang: true });
+        const api = new APIService(BASE, { fetch: server.fetch });
+
+        await assert.rejects(api.get('/slow', { signal: AbortSignal.timeout(10) }), TimeoutError);
+        assert.equal(server.lastCall().signal.aborted, true);
+    });
+
+    it('never dedupes mutations', async () => {
+        const server = new FakeServer({ baseURL: BASE }).post('/orders', { status: 201, body: {} });
+        const api = new APIService(BASE, { fetch: server.fetch });
+
+        await Promise.all([api.post('/orders', { id: 1 }), api.post('/orders', { id: 1 })]);
+        assert.equal(server.calls.length, 2);
+    });
+
+    it('gives every subscriber its own result for interceptors and callers to rewrite', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/me', { body: { payload: { n: 1 } }, delay: 10 });
+        const api = new APIService(BASE, { fetch: server.fetch });
+        api.interceptors.response.use((result) => {
+            result.data = result.data.payload; // Envelope unwrapping, in place
+            return result;
+        });
+
+        const [a, b] = await Promise.all([api.get('/me'), api.get('/me')]);
+        assert.deepEqual(a, { n: 1 });
+        assert.deepEqual(b, { n: 1 });
+
+        a.n = 2;
+        assert.equal(b.n, 1);
+        assert.equal(server.calls.length, 1);
+    });
+
+    it('applies each caller\'s own transform', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/users', { body: [{ id: 1 }], delay: 10 });
+        const api = new APIService(BASE, { fetch: server.fetch });
+
+        const [ids, users] = await Promise.all([
+            api.get('/users', { transform: list => list.map(user => user.id) }),
+            api.get('/users')
+        ]);
+        assert.deepEqual(ids, [1]);
+        assert.deepEqual(users, [{ id: 1 }]);
+    });
+});
@@ -0,0 +1,85 @@
+// StreamingDownload. Run with: node --test ajax/tests/*.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { StreamingDownload, FakeServer, ClientError } = require('../ajax-complete-guide.js');
+
+const BASE = 'https://api.test';
+const FILE = 'abcdefghijklmnopqrstuvwxyz0123';
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const fastRetry = { baseDelay: 1, jitter: 'none' };
+
+// Serves FILE with Range support; the first `drops` responses stop after 10 bytes
+function rangeServer({ drops = 0, etag = '"v1"', content = () => FILE } = {}) {
+    return new FakeServer({ baseURL: BASE }).get('/file', ({ headers }) => {
+        const body = content();
+        const range = /bytes=(\d+)-/.exec(headers.get('Range') || '');
+        const resumed = range && headers.get('If-Range') === etag;
+        const from = resumed ? Number(range[1]) : 0;
+        const sent = drops-- > 0 ? body.slice(from, from + 10) : body.slice(from);
+
+        return {
+            status: resumed ? 206 : 200,
+            body: sent,
+            headers: {
+                'Content-Type': 'text/plain',
+                'Content-Length': String(body.length - from),
+                ETag: etag,
+                ...(resumed && { 'Content-Range': `bytes ${from}-${body.length - 1}/${body.length}` })
+            }
+        };
+    });
+}
+
+describe('StreamingDownload', () => {
+    it('continues an interrupted download with Range and If-Range', async () => {
+        const server = rangeServer({ drops: 2 });
+        const download = new StreamingDownload(`${BASE}/file`, { fetch: server.fetch, retry: fastRetry });
+        const percents = [];
+        download.on('progress', ({ percent }) => percents.push(Math.round(percent)));
+
+        const blob = await download.start();
+        assert.equal(await blob.text(), FILE);
+        assert.deepEqual(server.calls.map(call => call.headers.get('Range')), [null, 'bytes=10-', 'bytes=20-']);
+        assert.equal(server.calls[1].headers.get('If-Range'), '"v1"');
+        assert.equal(percents.at(-1), 100);
+    });
+
+    it('starts over when the file changed on the server', async () => {
+        const server = new FakeServer({ baseURL: BASE })
+            .get('/file', { body: FILE.slice(0, 10), headers: { 'Content-Length': '30', ETag: '"v1"' } }, { times: 1 })
+            .get('/file', { body: FILE.toUpperCase(), headers: { ETag: '"v2"' } }); // If-Range no longer matches
+        const download = new StreamingDownload(`${BASE}/file`, { fetch: server.fetch, as: 'arraybuffer', retry: fastRetry });
+        let restarts = 0;
+        download.on('restart', () => restarts++);
+
+        const buffer = await download.start();
+        assert.equal(new TextDecoder().decode(buffer), FILE.toUpperCase());
+        assert.equal(restarts, 1);
+        assert.equal(server.lastCall().headers.get('If-Range'), '"v1"');
+    });
+
+    it('does not retry a 404', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/file', { status: 404 });
+        const download = new StreamingDownload(`${BASE}/file`, { fetch: server.fetch, retry: fastRetry });
+        download.on('error', () => {});
+
+        await assert.rejects(download.start(), ClientError);
+        assert.equal(server.calls.length, 1);
+    });
+
+    it('leaves the backoff of a paused run behind on resume()', async () => {
+        const server = new FakeServer({ baseURL: BASE })
+            .get('/file', { networkError: true }, { times: 1 })
+            .get('/file', { body: FILE, delay: 80 }); // Still downloading when the old backoff ends
+        const download = new StreamingDownload(`${BASE}/file`, { fetch: server.fetch, retry: { baseDelay: 50, jitter: 'none' } });
+
+        const done = download.start();
+        await wait(10); // First run is sleeping before its retry
+        download.pause();
+        assert.equal(await (await download.resume()).text(), FILE);
+        assert.equal(await done.then(blob => blob.text()), FILE);
+        assert.equal(server.calls.length, 2);
+    });
+});
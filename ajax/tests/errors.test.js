@@ -0,0 +1,63 @@
+// HttpError hierarchy. Run with: node --test ajax/tests/*.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    HttpError,
+    NetworkError,
+    TimeoutError,
+    AbortError,
+    ParseError,
+    ClientError,
+    ServerError,
+    RetryPolicy,
+    readJSON
+} = require('../ajax-complete-guide.js');
+
+describe('HttpError', () => {
+    it('picks the class from the status', () => {
+        assert.ok(HttpError.forStatus(404) instanceof ClientError);
+        assert.ok(HttpError.forStatus(503) instanceof ServerError);
+        assert.equal(HttpError.forStatus(404, null, { url: '/x' }).url, '/x');
+    });
+
+    it('keeps the server payload of an error response', async () => {
+        const response = new Response(JSON.stringify({ message: 'taken' }), {
+            status: 409,
+            headers: { 'Content-Type': 'application/json' }
+        });
+
+        const error = await HttpError.fromResponse(response, { method: 'POST', url: '/users' });
+        assert.ok(error instanceof ClientError);
+        assert.equal(error.status, 409);
+        assert.deepEqual(error.body, { message: 'taken' });
+    });
+
+    it('wraps what fetch() and response.json() throw', () => {
+        const request = { method: 'GET', url: '/x' };
+        assert.ok(HttpError.from(new TypeError('fetch failed'), request) instanceof NetworkError);
+        assert.ok(HttpError.from(new DOMException('t', 'TimeoutError'), request) instanceof TimeoutError);
+        assert.ok(HttpError.from(new DOMException('a', 'AbortError'), request) instanceof AbortError);
+        assert.ok(HttpError.from(new SyntaxError('bad'), request) instanceof ParseError);
+
+        const bug = new RangeError('bad option');
+        assert.equal(HttpError.from(bug, request), bug);
+    });
+
+    it('reads a non-JSON 2xx body as a ParseError', async () => {
+        const response = new Response('OK', { status: 200, headers: { 'Content-Type': 'text/plain' } });
+        await assert.rejects(readJSON(response, { method: 'GET', url: '/x' }), ParseError);
+    });
+
+    it('does not retry a TypeError thrown by the retried code itself', async () => {
+        let calls = 0;
+        const policy = new RetryPolicy({ baseDelay: 1 });
+
+        await assert.rejects(policy.execute(() => {
+            calls++;
+            return null.missing; // A bug, not a flaky network
+        }), TypeError);
+        assert.equal(calls, 1);
+    });
+});
@@ -0,0 +1,69 @@
+// FakeServer. Run with: node --test ajax/tests/*.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FakeServer, APIService, NetworkError, TimeoutError } = require('../ajax-complete-guide.js');
+
+const BASE = 'https://api.test';
+
+describe('FakeServer', () => {
+    it('matches params, wildcards and RegExp groups and records each call', async () => {
+        const server = new FakeServer({ baseURL: BASE })
+            .get('/users/:id', ({ params, query }) => ({ body: { id: params.id, expand: query.expand } }))
+            .get('/files/*', ({ params }) => ({ body: params.wildcard }))
+            .get(/^\/v(?<version>\d+)\/ping$/, ({ params }) => ({ body: params }));
+
+        assert.deepEqual(await (await server.fetch('/users/7?expand=teams')).json(), { id: '7', expand: 'teams' });
+        assert.equal(await (await server.fetch('/files/a/b.txt')).text(), 'a/b.txt'); // Strings go out as-is
+        assert.deepEqual(await (await server.fetch('/v2/ping')).json(), { version: '2' });
+
+        await server.fetch(`${BASE}/users`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"name":"Ada"}' });
+        const call = server.lastCall();
+        assert.equal(call.url, `${BASE}/users`);
+        assert.deepEqual(call.body, { name: 'Ada' });
+        assert.equal(server.callsTo('GET', '/users/:id').length, 1);
+    });
+
+    it('answers 404 for unknown routes, or hands them to passthrough', async () => {
+        const server = new FakeServer({ baseURL: BASE });
+        const response = await server.fetch('/nowhere');
+        assert.equal(response.status, 404);
+        assert.equal((await response.json()).message, 'No route for GET /nowhere');
+
+        const fallback = new FakeServer({ baseURL: BASE }).get('/nowhere', { body: 'real' });
+        const proxied = new FakeServer({ baseURL: BASE, passthrough: fallback.fetch });
+        assert.equal(await (await proxied.fetch(`${BASE}/nowhere`)).text(), 'real');
+    });
+
+    it('uses a limited route first, then falls through to the next one', async () => {
+        const server = new FakeServer({ baseURL: BASE })
+            .get('/flaky', { status: 503, headers: { 'Retry-After': '0' } }, { times: 1 })
+            .get('/flaky', { body: { ok: true } });
+
+        assert.equal((await server.fetch('/flaky')).status, 503);
+        assert.equal((await server.fetch('/flaky')).status, 200);
+        assert.equal((await server.fetch('/flaky')).status, 200);
+    });
+
+    it('simulates dropped connections and hung requests', async () => {
+        const server = new FakeServer({ baseURL: BASE })
+            .get('/offline', { networkError: true })
+            .get('/slow', { hang: true });
+        const api = new APIService(BASE, { fetch: server.fetch, retry: false });
+
+        await assert.rejects(server.fetch('/offline'), TypeError);
+        await assert.rejects(api.get('/offline'), NetworkError);
+        await assert.rejects(api.get('/slow', { signal: AbortSignal.timeout(20) }), TimeoutError);
+    });
+
+    it('replaces a target fetch until restore()', async () => {
+        const target = { fetch: () => 'original' };
+        const server = new FakeServer({ baseURL: BASE }).get('/me', { body: { id: 1 } });
+
+        const restore = server.install(target);
+        assert.deepEqual(await (await target.fetch('/me')).json(), { id: 1 });
+        restore();
+        assert.equal(target.fetch(), 'original');
+    });
+});
@@ -0,0 +1,63 @@
+// GraphQLClient. Run with: node --test ajax/tests/*.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { GraphQLClient, GraphQLError, APIService, FakeServer } = require('../ajax-complete-guide.js');
+
+const BASE = 'https://api.test';
+const ME = 'query Me { me { id } }';
+const ME_HASH = '2e3e49f19828396c35f7f9415f5558239d37f5d85b674851f58bf43337f5aaab';
+
+// Answers each operation (by default with { data: { <operationName>: true } }), batched or not
+function graphqlServer(resolve = operation => ({ data: { [operation.operationName]: true } })) {
+    const server = new FakeServer({ baseURL: BASE }).post('/graphql', ({ body }) => ({
+        body: Array.isArray(body) ? body.map(resolve) : resolve(body)
+    }));
+    const gql = new GraphQLClient(new APIService(BASE, { fetch: server.fetch }));
+    return { server, gql };
+}
+
+describe('GraphQLClient', () => {
+    it('batches queries from the same tick but sends mutations alone', async () => {
+        const { server, gql } = graphqlServer();
+
+        const results = await Promise.all([
+            gql.query('query A { a }'),
+            gql.query('query B { b }'),
+            gql.mutate('mutation C { c }')
+        ]);
+        assert.deepEqual(results, [{ A: true }, { B: true }, { C: true }]);
+        assert.deepEqual(server.calls.map(call => (Array.isArray(call.body) ? call.body.length : 1)).sort(), [1, 2]);
+    });
+
+    it('throws a GraphQLError that keeps the partial data', async () => {
+        const { gql } = graphqlServer(() => ({ data: { me: null }, errors: [{ message: 'Not allowed', path: ['me'] }] }));
+
+        const error = await gql.query(ME).catch(caught => caught);
+        assert.ok(error instanceof GraphQLError);
+        assert.equal(error.message, 'GraphQL Me failed: Not allowed');
+        assert.deepEqual(error.data, { me: null });
+        assert.equal(error.errors[0].path[0], 'me');
+    });
+
+    it('sends the SHA-256 hash of a persisted query, and the full text once on a miss', async () => {
+        const known = new Set();
+        const server = new FakeServer({ baseURL: BASE }).post('/graphql', ({ body }) => {
+            const { sha256Hash } = body.extensions.persistedQuery;
+            if (body.query) {
+                known.add(sha256Hash);
+            }
+            return { body: known.has(sha256Hash) ? { data: { me: { id: 1 } } } : { errors: [{ message: 'PersistedQueryNotFound' }] } };
+        });
+        const gql = new GraphQLClient(new APIService(BASE, { fetch: server.fetch }), { persistedQueries: true, batch: false });
+
+        assert.deepEqual(await gql.query(ME), { me: { id: 1 } });
+        assert.deepEqual(await gql.query(ME), { me: { id: 1 } });
+        assert.deepEqual(server.calls.map(call => [call.body.extensions.persistedQuery.sha256Hash, Boolean(call.body.query)]), [
+            [ME_HASH, false],
+            [ME_HASH, true],
+            [ME_HASH, false]
+        ]);
+    });
+});
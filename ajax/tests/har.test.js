@@ -0,0 +1,105 @@
+// HarRecorder and HarReplayer. Run with: node --test ajax/tests/*.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { HarRecorder, HarReplayer, FakeServer } = require('../ajax-complete-guide.js');
+
+const BASE = 'https://api.test';
+
+// Records everything the callback sends through `target.fetch`
+async function record(server, callback) {
+    const target = { fetch: server.fetch };
+    const recorder = new HarRecorder().start(target);
+    await callback(target.fetch);
+    recorder.stop();
+    return recorder.toHAR();
+}
+
+describe('HarRecorder', () => {
+    it('records requests, responses and failures with secrets redacted', async () => {
+        const server = new FakeServer({ baseURL: BASE })
+            .post('/login', { body: { ok: true }, headers: { 'Set-Cookie': 'sid=secret' } })
+            .get('/logo.png', { body: new Uint8Array([137, 80, 78, 71]), headers: { 'Content-Type': 'image/png' } })
+            .get('/down', { networkError: true });
+
+        const har = await record(server, async (fetch) => {
+            await fetch(`${BASE}/login?next=%2Fhome`, {
+                method: 'POST',
+                headers: { Authorization: 'Bearer abc', 'Content-Type': 'application/json' },
+                body: '{"user":"ada"}'
+            });
+            await fetch(`${BASE}/logo.png`);
+            await fetch(`${BASE}/down`).catch(() => {});
+        });
+        const [login, logo, down] = har.log.entries;
+
+        assert.equal(har.log.version, '1.2');
+        assert.deepEqual(login.request.queryString, [{ name: 'next', value: '/home' }]);
+        assert.deepEqual(login.request.postData, { mimeType: 'application/json', text: '{"user":"ada"}' });
+        assert.equal(login.request.headers.find(header => header.name === 'authorization').value, '[REDACTED]');
+        assert.equal(login.response.headers.find(header => header.name === 'set-cookie').value, '[REDACTED]');
+        assert.equal(login.response.content.text, '{"ok":true}');
+        assert.deepEqual(logo.response.content, { size: 4, mimeType: 'image/png', text: 'iVBORw==', encoding: 'base64' });
+        assert.equal(down._error, 'Failed to fetch');
+    });
+
+    it('does not wait for an event stream to end', async () => {
+        const stream = new ReadableStream({ start: controller => controller.enqueue(new TextEncoder().encode('data: x\n\n')) });
+        const server = new FakeServer({ baseURL: BASE })
+            .get('/events', () => new Response(stream, { headers: { 'Content-Type': 'text/event-stream' } }));
+
+        let first;
+        const har = await record(server, async (fetch) => {
+            const reader = (await fetch(`${BASE}/events`)).body.getReader();
+            first = new TextDecoder().decode((await reader.read()).value); // Still the caller's to read
+            await reader.cancel();
+        });
+        assert.equal(first, 'data: x\n\n');
+        assert.equal(har.log.entries[0].response.status, 200);
+        assert.equal(har.log.entries[0].response.content.text, undefined);
+    });
+});
+
+describe('HarReplayer', () => {
+    it('replays a recording in order, repeating the last answer', async () => {
+        let version = 0;
+        const server = new FakeServer({ baseURL: BASE })
+            .get('/config', () => ({ body: { version: ++version } }))
+            .get('/logo.png', { body: new Uint8Array([1, 2, 3]), headers: { 'Content-Type': 'image/png' } });
+        const har = await record(server, async (fetch) => {
+            await fetch(`${BASE}/config?b=2&a=1`);
+            await fetch(`${BASE}/config?b=2&a=1`);
+            await fetch(`${BASE}/logo.png`);
+        });
+
+        const replayer = new HarReplayer(har);
+        const versions = [];
+        for (let i = 0; i < 3; i++) {
+            versions.push((await (await replayer.fetch(`${BASE}/config?a=1&b=2`)).json()).version);
+        }
+        assert.deepEqual(versions, [1, 2, 2]);
+        assert.deepEqual([...new Uint8Array(await (await replayer.fetch(`${BASE}/logo.png`)).arrayBuffer())], [1, 2, 3]);
+        await assert.rejects(replayer.fetch(`${BASE}/config?a=1`), /No recorded HAR entry/);
+        assert.equal(server.calls.length, 3);
+    });
+
+    it('loosens matching with ignoreOrigin, ignoreQuery and matchBody', async () => {
+        const server = new FakeServer({ baseURL: BASE })
+            .get('/search', ({ query }) => ({ body: { q: query.q } }))
+            .post('/orders', ({ body }) => ({ status: 201, body }));
+        const har = await record(server, async (fetch) => {
+            await fetch(`${BASE}/search?q=ada`);
+            await fetch(`${BASE}/orders`, { method: 'POST', body: '{"id":1}' });
+            await fetch(`${BASE}/orders`, { method: 'POST', body: '{"id":2}' });
+        });
+
+        const loose = new HarReplayer(har, { ignoreOrigin: true, ignoreQuery: true });
+        assert.deepEqual(await (await loose.fetch('http://localhost:3000/search?q=grace')).json(), { q: 'ada' });
+
+        const byBody = new HarReplayer(har, { matchBody: true });
+        const second = await byBody.fetch(`${BASE}/orders`, { method: 'POST', body: '{"id":2}' });
+        assert.equal(second.status, 201);
+        assert.equal(await second.text(), '{"id":2}');
+    });
+});
@@ -0,0 +1,114 @@
+// MutationOutbox. Run with: node --test ajax/tests/*.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { APIService, MutationOutbox, MemoryStorage, FakeServer, ClientError, ParseError } = require('../ajax-complete-guide.js');
+
+const BASE = 'https://api.test';
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const nextEvent = (emitter, name) => new Promise(resolve => {
+    const off = emitter.on(name, payload => {
+        off();
+        resolve(payload);
+    });
+});
+
+// `network.online` switches the server between the handler and dropped connections
+function setup(handler, { storage = new MemoryStorage(), online = false, ...options } = {}) {
+    const server = new FakeServer({ baseURL: BASE });
+    const network = { online };
+    server.any('/*', call => (network.online ? handler(call) : { networkError: true }));
+
+    const api = new APIService(BASE, { fetch: server.fetch });
+    const outbox = new MutationOutbox(api, { storage, probe: async () => network.online, ...options });
+    return { server, network, outbox, storage };
+}
+
+describe('MutationOutbox', () => {
+    it('keeps mutations while offline and replays them in order with the same idempotency key', async () => {
+        const { server, network, outbox } = setup(({ method, path }) => ({ status: 201, body: { method, path } }));
+
+        const offline = nextEvent(outbox, 'offline');
+        const first = outbox.post('/todos', { title: 'a' });
+        const second = outbox.delete('/todos/1');
+        await offline;
+        assert.equal(outbox.length, 2);
+        assert.equal(outbox.status, 'offline');
+
+        network.online = true;
+        await outbox.flush();
+        assert.deepEqual(await first, { method: 'POST', path: '/todos' });
+        assert.deepEqual(await second, { method: 'DELETE', path: '/todos/1' });
+        assert.equal(outbox.length, 0);
+
+        const keys = server.callsTo('POST', '/todos').map(call => call.headers.get('Idempotency-Key'));
+        assert.ok(keys.length >= 2); // Every attempt while offline, then the delivery
+        assert.equal(new Set(keys).size, 1);
+        outbox.destroy();
+    });
+
+    it('sends what a previous session left behind as soon as it loads', async () => {
+        const previous = setup(() => ({ status: 201, body: {} }));
+        const offline = nextEvent(previous.outbox, 'offline');
+        previous.outbox.post('/todos', { title: 'a' });
+        await offline;
+        previous.outbox.destroy();
+
+        const { server, outbox } = setup(() => ({ status: 201, body: {} }), { storage: previous.storage, online: true });
+        const { mutation } = await nextEvent(outbox, 'sent');
+        assert.deepEqual(mutation.data, { title: 'a' });
+        assert.equal(server.callsTo('POST', '/todos').length, 1);
+        assert.deepEqual(await previous.storage.keys(), []);
+        outbox.destroy();
+    });
+
+    it('drops a rejected mutation without blocking the ones behind it', async () => {
+        const { server, outbox } = setup(({ path }) => (path === '/bad'
+            ? { status: 422, body: { message: 'invalid' } }
+            : { status: 201, body: {} }), { online: true });
+        const failed = [];
+        outbox.on('failed', ({ mutation }) => failed.push(mutation.endpoint));
+
+        const bad = outbox.post('/bad', {});
+        const good = outbox.post('/good', {});
+
+        await assert.rejects(bad, ClientError);
+        assert.deepEqual(await good, {});
+        assert.deepEqual(failed, ['/bad']);
+        assert.equal(server.callsTo('POST', '/bad').length, 1);
+        outbox.destroy();
+    });
+
+    it('settles a 2xx it cannot parse instead of replaying it', async () => {
+        const { server, outbox } = setup(() => ({
+            status: 201,
+            headers: { 'Content-Type': 'text/plain' },
+            body: 'OK'
+        }), { online: true });
+
+        await assert.rejects(outbox.post('/todos', {}), ParseError);
+        await wait(30);
+        assert.equal(server.callsTo('POST', '/todos').length, 1);
+        assert.equal(outbox.length, 0);
+        outbox.destroy();
+    });
+
+    it('retries a conflict with the resolved body and a new idempotency key', async () => {
+        const { server, outbox } = setup(({ headers }) => (headers.get('If-Match') === '"v2"'
+            ? { body: { saved: true } }
+            : { status: 412, headers: { ETag: '"v2"' } }), {
+            online: true,
+            resolveConflict: async (mutation, error) => ({
+                data: { ...mutation.data, merged: true },
+                headers: { 'If-Match': error.headers.get('ETag') }
+            })
+        });
+
+        assert.deepEqual(await outbox.put('/todos/1', { done: true }, { headers: { 'If-Match': '"v1"' } }), { saved: true });
+        const [stale, rebased] = server.calls;
+        assert.deepEqual(rebased.body, { done: true, merged: true });
+        assert.notEqual(stale.headers.get('Idempotency-Key'), rebased.headers.get('Idempotency-Key'));
+        outbox.destroy();
+    });
+});
@@ -0,0 +1,87 @@
+// PaginationService and its strategies. Run with: node --test ajax/tests/*.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    PaginationService,
+    OffsetStrategy,
+    CursorStrategy,
+    LinkHeaderStrategy,
+    FakeServer
+} = require('../ajax-complete-guide.js');
+
+const BASE = 'https://api.test';
+const ROWS = Array.from({ length: 25 }, (_, index) => ({ id: index + 1 }));
+
+describe('PaginationService', () => {
+    it('pages with ?_page and X-Total-Count', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/items', ({ query }) => {
+            const start = (query._page - 1) * query._limit;
+            return { body: ROWS.slice(start, start + Number(query._limit)), headers: { 'X-Total-Count': String(ROWS.length) } };
+        });
+        const pager = new PaginationService(`${BASE}/items`, { fetch: server.fetch });
+
+        const first = await pager.getPage();
+        assert.deepEqual(first.items.map(row => row.id), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+        assert.equal(first.totalPages, 3);
+        assert.equal(first.hasMore, true);
+
+        const last = await pager.goToPage(3);
+        assert.deepEqual(last.items.map(row => row.id), [21, 22, 23, 24, 25]);
+        assert.equal(last.hasMore, false);
+        assert.equal(await pager.nextPage().then(page => page.items.length), 0);
+    });
+
+    it('reads the total from the body with offsets', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/items', ({ query }) => ({
+            body: { items: ROWS.slice(Number(query.offset), Number(query.offset) + Number(query.limit)), total: ROWS.length }
+        }));
+        const pager = new PaginationService(`${BASE}/items`, { fetch: server.fetch, pageSize: 10, strategy: new OffsetStrategy() });
+
+        assert.equal((await pager.all()).length, 25);
+        assert.deepEqual(server.calls.map(call => call.query.offset), ['0', '10', '20']);
+    });
+
+    it('walks cursors forward and back, and refuses to jump', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/items', ({ query }) => {
+            const start = Number(query.cursor || 0);
+            const next = start + 10 < ROWS.length ? String(start + 10) : null;
+            return { body: { items: ROWS.slice(start, start + 10), nextCursor: next } };
+        });
+        const pager = new PaginationService(`${BASE}/items`, { fetch: server.fetch, strategy: new CursorStrategy() });
+
+        await pager.getPage(1);
+        assert.equal((await pager.nextPage()).items[0].id, 11);
+        assert.equal((await pager.nextPage()).items[0].id, 21);
+        assert.equal(await pager.nextPage(), null);
+        assert.equal((await pager.prevPage()).items[0].id, 11);
+        await assert.rejects(pager.getPage(3), /cannot jump/);
+    });
+
+    it('follows Link rel="next" headers', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/items', ({ query }) => {
+            const page = Number(query.page || 1);
+            const link = page < 3 ? `<${BASE}/items?page=${page + 1}&per_page=10>; rel="next"` : '';
+            return { body: ROWS.slice((page - 1) * 10, page * 10), headers: { Link: link } };
+        });
+        const pager = new PaginationService(`${BASE}/items`, { fetch: server.fetch, strategy: new LinkHeaderStrategy() });
+
+        const pages = [];
+        for await (const page of pager.pages()) {
+            pages.push(page.items.length);
+        }
+        assert.deepEqual(pages, [10, 10, 5]);
+    });
+
+    it('skips items that shifted onto the next page', async () => {
+        const server = new FakeServer({ baseURL: BASE })
+            .get('/items', { body: [{ id: 1 }, { id: 2 }] }, { times: 1 })
+            .get('/items', { body: [{ id: 2 }, { id: 3 }] }, { times: 1 })
+            .get('/items', { body: [] });
+        const pager = new PaginationService(`${BASE}/items`, { fetch: server.fetch, pageSize: 2 });
+
+        const rows = await pager.all({ getKey: row => row.id });
+        assert.deepEqual(rows.map(row => row.id), [1, 2, 3]);
+    });
+});
@@ -0,0 +1,69 @@
+// RateLimiter and APIService rate limiting. Run with: node --test ajax/tests/*.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RateLimiter, APIService, FakeServer, ClientError, AbortError } = require('../ajax-complete-guide.js');
+
+const BASE = 'https://api.test';
+
+describe('RateLimiter', () => {
+    it('paces requests to the configured capacity per interval', async () => {
+        const limiter = new RateLimiter({ default: { capacity: 2, interval: 100 } });
+        const startedAt = Date.now();
+        const times = [];
+
+        await Promise.all([1, 2, 3, 4].map(() => limiter.acquire(`${BASE}/x`).then(() => times.push(Date.now() - startedAt))));
+        assert.ok(times[1] < 30, `second token at ${times[1]}ms`);
+        assert.ok(times[2] >= 40, `third token at ${times[2]}ms`); // One token per 50ms after the burst
+        assert.ok(times[3] >= 90, `fourth token at ${times[3]}ms`);
+    });
+
+    it('follows the limit the server reports', () => {
+        const limiter = new RateLimiter();
+        limiter.update(`${BASE}/x`, new Headers({ RateLimit: 'limit=100, remaining=5, reset=30' }), 200);
+
+        const budget = limiter.budget(`${BASE}/x`);
+        assert.equal(budget.limit, 100);
+        assert.equal(budget.remaining, 5);
+
+        limiter.update(`${BASE}/x`, new Headers({ 'X-RateLimit-Limit': '100', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': '30' }), 200);
+        assert.equal(limiter.budget(`${BASE}/x`).remaining, 0);
+        assert.ok(limiter.budget(`${BASE}/x`).resetAt > new Date());
+    });
+
+    it('stops waiting when the signal aborts', async () => {
+        const limiter = new RateLimiter({ default: { capacity: 1, interval: 60000 } });
+        await limiter.acquire(`${BASE}/x`);
+
+        const controller = new AbortController();
+        const waiting = limiter.acquire(`${BASE}/x`, controller.signal);
+        controller.abort();
+        await assert.rejects(waiting, AbortError);
+        assert.equal(limiter.budget(`${BASE}/x`).queued, 0);
+    });
+});
+
+describe('APIService rate limiting', () => {
+    it('re-queues a 429 until Retry-After has passed', async () => {
+        const server = new FakeServer({ baseURL: BASE })
+            .get('/search', { status: 429, headers: { 'Retry-After': '0' } }, { times: 1 })
+            .get('/search', { body: { hits: 1 } });
+        const api = new APIService(BASE, { fetch: server.fetch, rateLimiter: new RateLimiter(), retry: false });
+
+        assert.deepEqual(await api.get('/search'), { hits: 1 });
+        assert.equal(server.calls.length, 2);
+    });
+
+    it('does not let the retry policy repeat what the limiter already re-queued', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/search', { status: 429, headers: { 'Retry-After': '0' } });
+        const api = new APIService(BASE, {
+            fetch: server.fetch,
+            rateLimiter: new RateLimiter({ requeueOn429: 2 }),
+            retry: { maxAttempts: 3, baseDelay: 1, jitter: 'none' }
+        });
+
+        await assert.rejects(api.get('/search'), ClientError);
+        assert.equal(server.calls.length, 3); // Not 3 x 3
+    });
+});
@@ -0,0 +1,111 @@
+// SSEClient and LongPolling. Run with: node --test ajax/tests/*.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SSEClient, LongPolling, FakeServer, ClientError } = require('../ajax-complete-guide.js');
+
+const BASE = 'https://api.test';
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const stream = body => ({ body, headers: { 'Content-Type': 'text/event-stream' } });
+
+describe('SSEClient', () => {
+    it('parses events, resumes with Last-Event-ID and honours retry:', async () => {
+        const server = new FakeServer({ baseURL: BASE })
+            .get('/stream', stream('retry: 10\nid: 1\ndata: {"n":1}\n\nevent: ping\ndata: x\n\n'), { times: 1 })
+            .get('/stream', stream('id: 2\ndata: two\ndata: lines\n\n'));
+        const sse = new SSEClient(`${BASE}/stream`, { fetch: server.fetch });
+        const messages = [];
+        const pings = [];
+        sse.on('ping', ({ data }) => pings.push(data));
+
+        sse.start(data => messages.push(data));
+        await wait(30);
+        sse.stop();
+
+        assert.deepEqual(messages.slice(0, 2), [{ n: 1 }, 'two\nlines']);
+        assert.deepEqual(pings, ['x']);
+        assert.equal(server.calls[1].headers.get('Last-Event-ID'), '1');
+    });
+
+    it('stops for good on a 4xx', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/stream', { status: 401 });
+        const sse = new SSEClient(`${BASE}/stream`, { fetch: server.fetch, retry: 1 });
+        const closed = [];
+        sse.on('error', () => {});
+        sse.on('close', ({ error }) => closed.push(error));
+
+        await sse.start(() => {});
+        assert.equal(server.calls.length, 1);
+        assert.ok(closed[0] instanceof ClientError);
+    });
+
+    it('runs a single reconnect loop across stop() + start() and repeated start()', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/stream', stream('data: x\n\n'));
+        const sse = new SSEClient(`${BASE}/stream`, { fetch: server.fetch, retry: 100 });
+
+        sse.start(() => {});
+        sse.start(() => {}); // Already running - ignored
+        await wait(20);
+        sse.stop();
+        sse.start(() => {});
+        await wait(250);
+        sse.stop();
+
+        // Old loop: 1 connection. New loop: at ~20, ~120 and ~220 ms
+        assert.ok(server.calls.length <= 4, `${server.calls.length} connections`);
+    });
+});
+
+describe('LongPolling', () => {
+    it('sends the cursor back and skips unchanged polls', async () => {
+        const server = new FakeServer({ baseURL: BASE })
+            .get('/poll', { body: { cursor: 7, events: ['a'] } }, { times: 1 })
+            .get('/poll', { status: 304 });
+        const poller = new LongPolling(`${BASE}/poll`, { fetch: server.fetch, minInterval: 10, pauseWhenHidden: false });
+        const received = [];
+
+        poller.start(data => received.push(data.events));
+        await wait(35);
+        poller.stop();
+
+        assert.deepEqual(received, [['a']]);
+        assert.equal(server.calls[1].query.since, '7');
+    });
+
+    it('backs off after errors and reports them', async () => {
+        const server = new FakeServer({ baseURL: BASE })
+            .get('/poll', { status: 503 }, { times: 2 })
+            .get('/poll', { body: { cursor: 1 } });
+        const poller = new LongPolling(`${BASE}/poll`, {
+            fetch: server.fetch,
+            minInterval: 1000,
+            pauseWhenHidden: false,
+            backoff: { baseDelay: 5, jitter: 'none' }
+        });
+        const attempts = [];
+        poller.on('error', () => {});
+        poller.on('reconnecting', ({ attempt, delay }) => attempts.push([attempt, delay]));
+
+        const connected = new Promise(resolve => poller.on('connected', resolve));
+        poller.start(() => {});
+        await connected;
+        poller.stop();
+
+        assert.deepEqual(attempts, [[1, 5], [2, 10]]);
+    });
+
+    it('runs a single loop after stop() + start()', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/poll', { body: { cursor: 1 } });
+        const poller = new LongPolling(`${BASE}/poll`, { fetch: server.fetch, minInterval: 100, pauseWhenHidden: false });
+
+        poller.start(() => {});
+        await wait(20);
+        poller.stop();
+        poller.start(() => {});
+        await wait(250);
+        poller.stop();
+
+        assert.ok(server.calls.length <= 4, `${server.calls.length} polls`);
+    });
+});
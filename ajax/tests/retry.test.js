@@ -0,0 +1,85 @@
+// RetryPolicy, fetchWithRetry and APIService retries. Run with: node --test ajax/tests/*.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    APIService,
+    FakeServer,
+    RetryPolicy,
+    fetchWithRetry,
+    ClientError,
+    ServerError,
+    NetworkError
+} = require('../ajax-complete-guide.js');
+
+const BASE = 'https://api.test';
+const fastRetry = { maxAttempts: 3, baseDelay: 1, jitter: 'none' };
+
+describe('RetryPolicy', () => {
+    it('backs off exponentially up to maxDelay', () => {
+        const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 300, jitter: 'none' });
+        assert.deepEqual([1, 2, 3].map(attempt => policy.getDelay(attempt)), [100, 200, 300]);
+    });
+
+    it('waits as long as Retry-After asks', () => {
+        const policy = new RetryPolicy({ baseDelay: 100, jitter: 'none' });
+        const error = new ServerError('busy', { status: 503, headers: new Headers({ 'Retry-After': '2' }) });
+        assert.equal(policy.getDelay(1, error), 2000);
+    });
+});
+
+describe('fetchWithRetry', () => {
+    it('retries network errors until the server answers', async () => {
+        const server = new FakeServer({ baseURL: BASE })
+            .get('/report', { networkError: true }, { times: 2 })
+            .get('/report', { body: { ok: true } });
+
+        assert.deepEqual(await fetchWithRetry(`${BASE}/report`, { fetch: server.fetch }, fastRetry), { ok: true });
+        assert.equal(server.calls.length, 3);
+    });
+});
+
+describe('APIService retry', () => {
+    it('retries a 503 until the server recovers', async () => {
+        const server = new FakeServer({ baseURL: BASE })
+            .get('/flaky', { status: 503 }, { times: 2 })
+            .get('/flaky', { body: { ok: true } });
+        const api = new APIService(BASE, { fetch: server.fetch, retry: fastRetry });
+
+        assert.deepEqual(await api.get('/flaky'), { ok: true });
+        assert.equal(server.callsTo('GET', '/flaky').length, 3);
+    });
+
+    it('gives up after maxAttempts network errors', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/down', { networkError: true });
+        const api = new APIService(BASE, { fetch: server.fetch, retry: fastRetry });
+
+        await assert.rejects(api.get('/down'), NetworkError);
+        assert.equal(server.calls.length, 3);
+    });
+
+    it('does not retry a 4xx', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/missing', { status: 404 });
+        const api = new APIService(BASE, { fetch: server.fetch, retry: fastRetry });
+
+        await assert.rejects(api.get('/missing'), ClientError);
+        assert.equal(server.calls.length, 1);
+    });
+
+    it('does not retry a POST by default', async () => {
+        const server = new FakeServer({ baseURL: BASE }).post('/orders', { status: 503 });
+        const api = new APIService(BASE, { fetch: server.fetch, retry: fastRetry });
+
+        await assert.rejects(api.post('/orders', { id: 1 }), ServerError);
+        assert.equal(server.calls.length, 1);
+    });
+
+    it('lets a call turn retries off', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/flaky', { status: 503 });
+        const api = new APIService(BASE, { fetch: server.fetch, retry: fastRetry });
+
+        await assert.rejects(api.get('/flaky', { retry: false }), ServerError);
+        assert.equal(server.calls.length, 1);
+    });
+});
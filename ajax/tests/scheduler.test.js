@@ -0,0 +1,106 @@
+// RequestScheduler. Run with: node --test ajax/tests/*.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RequestScheduler, APIService, FakeServer, AbortError } = require('../ajax-complete-guide.js');
+
+const BASE = 'https://api.test';
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Tasks that finish only when the test says so; `started` lists them in start order
+function manualTasks() {
+    const started = [];
+    const finishers = new Map();
+    const task = name => () => new Promise(resolve => {
+        started.push(name);
+        finishers.set(name, () => resolve(name));
+    });
+    const finish = name => finishers.get(name)();
+    return { started, task, finish };
+}
+
+describe('RequestScheduler', () => {
+    it('runs critical before normal before background, FIFO within a lane', async () => {
+        const scheduler = new RequestScheduler({ maxConcurrent: 1 });
+        const { started, task, finish } = manualTasks();
+
+        const results = [
+            scheduler.schedule(task('busy')),
+            scheduler.schedule(task('thumb'), { priority: 'background' }),
+            scheduler.schedule(task('list'), { priority: 'normal' }),
+            scheduler.schedule(task('me'), { priority: 'critical' }),
+            scheduler.schedule(task('feed'), { priority: 'normal' })
+        ];
+        for (const name of ['busy', 'me', 'list', 'feed', 'thumb']) {
+            await tick();
+            finish(name);
+        }
+
+        assert.deepEqual(await Promise.all(results), ['busy', 'thumb', 'list', 'me', 'feed']);
+        assert.deepEqual(started, ['busy', 'me', 'list', 'feed', 'thumb']);
+    });
+
+    it('lets other hosts through while one host is at its limit', async () => {
+        const scheduler = new RequestScheduler({ maxConcurrent: 3, maxPerHost: 1 });
+        const { started, task } = manualTasks();
+
+        scheduler.schedule(task('a1'), { host: 'a' });
+        scheduler.schedule(task('a2'), { host: 'a' });
+        scheduler.schedule(task('b1'), { host: 'b' });
+        await tick();
+
+        assert.deepEqual(started, ['a1', 'b1']);
+        assert.deepEqual(scheduler.stats(), {
+            active: 2,
+            queued: 1,
+            queuedByLane: { critical: 0, normal: 1, background: 0 },
+            activeByHost: { a: 1, b: 1 }
+        });
+    });
+
+    it('moves and cancels queued jobs', async () => {
+        const scheduler = new RequestScheduler({ maxConcurrent: 1 });
+        const { started, task, finish } = manualTasks();
+        const controller = new AbortController();
+
+        scheduler.schedule(task('busy'));
+        const later = scheduler.schedule(task('later'), { priority: 'background', id: 'thumb-1' });
+        const dropped = scheduler.schedule(task('dropped'), { signal: controller.signal });
+        scheduler.schedule(task('normal'));
+
+        assert.throws(() => scheduler.schedule(task('twin'), { id: 'thumb-1' }), /already queued/);
+        assert.equal(scheduler.setPriority('thumb-1', 'critical'), true);
+        controller.abort();
+        await assert.rejects(dropped, AbortError);
+
+        await tick();
+        finish('busy');
+        await tick();
+        finish('later');
+        assert.equal(await later, 'later');
+        await tick();
+        assert.deepEqual(started, ['busy', 'later', 'normal']);
+        assert.equal(scheduler.setPriority('thumb-1', 'normal'), false); // Already ran
+    });
+
+    it('waits while paused', async () => {
+        const scheduler = new RequestScheduler();
+        scheduler.pause();
+        let ran = false;
+        const result = scheduler.schedule(async () => (ran = true));
+
+        await tick();
+        assert.equal(ran, false);
+        scheduler.resume();
+        assert.equal(await result, true);
+    });
+
+    it('rejects an unknown priority in APIService without sending or retrying', async () => {
+        const server = new FakeServer({ baseURL: BASE }).get('/me', { body: {} });
+        const api = new APIService(BASE, { fetch: server.fetch, retry: { maxAttempts: 3, baseDelay: 1 }, scheduler: true });
+
+        await assert.rejects(api.get('/me', { priority: 'urgent' }), RangeError);
+        assert.equal(server.calls.length, 0);
+    });
+});
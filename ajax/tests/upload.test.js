@@ -0,0 +1,87 @@
+// ResumableUpload (tus). Run with: node --test ajax/tests/*.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ResumableUpload, FakeServer, ClientError } = require('../ajax-complete-guide.js');
+
+const BASE = 'https://api.test';
+const file = new Blob(['0123456789'.repeat(3)]); // 30 bytes
+const fastRetry = { baseDelay: 1, jitter: 'none' };
+
+// A minimal tus server; `before` registers routes that win over the real ones (e.g. failures)
+function tusServer(before = () => {}) {
+    const uploads = new Map();
+    const server = new FakeServer({ baseURL: BASE });
+    before(server);
+
+    server
+        .post('/files/', ({ headers }) => {
+            const path = `/files/${uploads.size + 1}`;
+            const concat = headers.get('Upload-Concat') || '';
+            const length = concat.startsWith('final') ? 0 : Number(headers.get('Upload-Length'));
+            uploads.set(path, { length, offset: 0, concat });
+            return { status: 201, headers: { Location: path } };
+        })
+        .route('HEAD', '/files/:id', ({ path }) => ({ headers: { 'Upload-Offset': String(uploads.get(path).offset) } }))
+        .patch('/files/:id', ({ path, headers, body }) => {
+            const upload = uploads.get(path);
+            if (Number(headers.get('Upload-Offset')) !== upload.offset) {
+                return { status: 409 };
+            }
+            upload.offset += body.length;
+            return { status: 204, headers: { 'Upload-Offset': String(upload.offset) } };
+        });
+
+    return { server, uploads };
+}
+
+describe('ResumableUpload', () => {
+    it('sends the file in chunks and continues from the server offset after a failure', async () => {
+        const { server, uploads } = tusServer(server => server.patch('/files/1', { networkError: true }, { times: 1 }));
+        const upload = new ResumableUpload(file, { endpoint: `${BASE}/files/`, fetch: server.fetch, chunkSize: 10, retry: fastRetry });
+
+        assert.equal(await upload.start(), `${BASE}/files/1`);
+        assert.equal(uploads.get('/files/1').offset, 30);
+        assert.deepEqual(server.callsTo('PATCH', '/files/1').map(call => call.headers.get('Upload-Offset')), ['0', '0', '10', '20']);
+        assert.equal(server.callsTo('HEAD', '/files/1').length, 1);
+    });
+
+    it('splits the file into partial uploads and concatenates them', async () => {
+        const { server, uploads } = tusServer();
+        const upload = new ResumableUpload(file, { endpoint: `${BASE}/files/`, fetch: server.fetch, parallel: 2, retry: fastRetry });
+
+        assert.equal(await upload.start(), `${BASE}/files/3`);
+        assert.equal(uploads.get('/files/3').concat, `final;${BASE}/files/1 ${BASE}/files/2`);
+        assert.deepEqual([1, 2].map(id => uploads.get(`/files/${id}`).offset), [15, 15]);
+    });
+
+    it('retries a failed resync HEAD within the same budget', async () => {
+        const { server } = tusServer(server => server
+            .patch('/files/1', { status: 503 }, { times: 1 })
+            .route('HEAD', '/files/1', { status: 503 }, { times: 2 }));
+        const upload = new ResumableUpload(file, { endpoint: `${BASE}/files/`, fetch: server.fetch, retry: fastRetry });
+
+        assert.equal(await upload.start(), `${BASE}/files/1`);
+        assert.equal(server.callsTo('HEAD', '/files/1').length, 3);
+    });
+
+    it('gives up on a conflict that never clears', async () => {
+        const { server } = tusServer(server => server.patch('/files/1', { status: 409 }));
+        const upload = new ResumableUpload(file, { endpoint: `${BASE}/files/`, fetch: server.fetch, retry: { ...fastRetry, maxAttempts: 3 } });
+        upload.on('error', () => {});
+
+        await assert.rejects(upload.start(), ClientError);
+        assert.equal(server.callsTo('PATCH', '/files/1').length, 3);
+    });
+
+    it('returns a fresh promise when started again after an error', async () => {
+        const { server } = tusServer(server => server.patch('/files/1', { status: 500 }, { times: 1 }));
+        const upload = new ResumableUpload(file, { endpoint: `${BASE}/files/`, fetch: server.fetch, retry: { maxAttempts: 1 } });
+        upload.on('error', () => {});
+
+        await assert.rejects(upload.start());
+        assert.equal(upload.state, 'error');
+        assert.equal(await upload.start(), `${BASE}/files/1`);
+    });
+});
@@ -0,0 +1,105 @@
+// WebSocketClient. Run with: node --test ajax/tests/*.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { WebSocketClient, WebSocketRequestError, HttpError } = require('../ajax-complete-guide.js');
+
+const URL = 'wss://api.test/live';
+
+// Just enough of the browser WebSocket for the client; the test drives open/close/messages
+function fakeWebSocket() {
+    const sockets = [];
+
+    class FakeSocket {
+        constructor(url) {
+            this.url = url;
+            this.readyState = 0;
+            this.sent = [];
+            sockets.push(this);
+        }
+
+        send(data) {
+            this.sent.push(JSON.parse(data));
+        }
+
+        close(code, reason) {
+            this.readyState = 3;
+            if (this.onclose) this.onclose({ code, reason });
+        }
+
+        serverOpen() {
+            this.readyState = 1;
+            this.onopen();
+        }
+
+        serverSend(message) {
+            this.onmessage({ data: JSON.stringify(message) });
+        }
+    }
+
+    return { FakeSocket, sockets };
+}
+
+function setup() {
+    const { FakeSocket, sockets } = fakeWebSocket();
+    const client = new WebSocketClient(URL, {
+        WebSocket: FakeSocket,
+        backoff: { baseDelay: 5, jitter: 'none' },
+        heartbeat: { interval: 60000 }
+    });
+    return { client, sockets };
+}
+
+describe('WebSocketClient', () => {
+    it('correlates replies and rejects error replies with a typed error', async () => {
+        const { client, sockets } = setup();
+        client.connect();
+        sockets[0].serverOpen();
+
+        const ok = client.request({ type: 'getQuote' });
+        const failed = client.request({ type: 'getQuote', symbol: '???' });
+        const [first, second] = sockets[0].sent;
+        sockets[0].serverSend({ id: second.id, error: { code: 404, message: 'Unknown symbol' } });
+        sockets[0].serverSend({ id: first.id, result: 42 });
+
+        assert.equal((await ok).result, 42);
+        const error = await failed.catch(caught => caught);
+        assert.ok(error instanceof WebSocketRequestError);
+        assert.ok(error instanceof HttpError);
+        assert.equal(error.message, 'Unknown symbol');
+        assert.equal(error.code, 404);
+        assert.deepEqual(error.body, { id: second.id, error: { code: 404, message: 'Unknown symbol' } });
+        client.close();
+    });
+
+    it('queues messages while offline and re-subscribes after a reconnect', async () => {
+        const { client, sockets } = setup();
+        client.connect();
+        client.subscribe('orders', () => {});
+        client.send({ type: 'typing' });
+        sockets[0].serverOpen();
+        assert.deepEqual(sockets[0].sent, [{ type: 'subscribe', topic: 'orders' }, { type: 'typing' }]);
+
+        const reconnected = new Promise(resolve => client.on('reconnecting', ({ delay }) => setTimeout(resolve, delay + 5)));
+        sockets[0].close(1006, 'gone');
+        await reconnected;
+        sockets[1].serverOpen();
+        assert.deepEqual(sockets[1].sent, [{ type: 'subscribe', topic: 'orders' }]);
+        client.close();
+    });
+
+    it('keeps a single socket when connect() is called again', () => {
+        const { client, sockets } = setup();
+        client.connect();
+        client.connect();
+        assert.equal(sockets.length, 1);
+
+        sockets[0].serverOpen();
+        client.connect();
+        assert.equal(sockets.length, 1);
+        assert.equal(client.socket, sockets[0]);
+        assert.equal(client.isOpen, true);
+        client.close();
+    });
+});